@@ -0,0 +1,50 @@
+/**
+ * instance-tools.ts
+ *
+ * This module registers the MCP tool that describes the configured Omniscope
+ * instances, so clients know which values the `instance` argument of the
+ * other tools accepts. Credentials are never returned.
+ */
+
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+
+import type { ServerConfig } from "../../config.js";
+import { createToolLogger, toJsonResult } from "../tool-helpers.js";
+
+const logTools = createToolLogger("[instance-tools]");
+
+/**
+ * Registers the instance tools on the given MCP server instance.
+ */
+export function registerInstanceTools(server: McpServer, config: ServerConfig) {
+  // ---------------------------------------------------------------------------
+  // 1) List instances
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "list_instances",
+    {
+      title: "List Omniscope instances",
+      description:
+        "List the Omniscope instances this server can talk to. Pass a name as `instance` to the other tools; omit it to use the default instance.",
+      inputSchema: {},
+    },
+    async () => {
+      logTools("TOOL CALL: list_instances");
+
+      const result = Object.values(config.instances).map((i) => ({
+        name: i.name,
+        description: i.description,
+        baseUrl: i.baseUrl,
+        authType: i.auth.type,
+        allowedPrefixes: i.allowedPrefixes,
+        allowedSchedulerTasks: i.allowedSchedulerTasks,
+        requestTimeoutMs: i.requestTimeoutMs,
+        isDefault: i.name === config.defaultInstance,
+      }));
+
+      logTools("RESULT: list_instances", { count: result.length });
+
+      return toJsonResult(result);
+    },
+  );
+}
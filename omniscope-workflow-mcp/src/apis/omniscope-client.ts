@@ -0,0 +1,169 @@
+/**
+ * Shared HTTP plumbing for the Omniscope REST API clients.
+ * Handles authentication, timeouts, retries, the circuit breaker and error
+ * normalization so each API client only has to describe its endpoints.
+ */
+import { ServerConfig, createAuthHeaders } from "../config.js";
+import { recordOmniscopeRequest } from "../audit.js";
+import { omniscopeRequestDuration } from "../metrics.js";
+import {
+  backoffDelay,
+  getCircuitBreaker,
+  isNotSentError,
+  isTransientError,
+  OmniscopeHttpError,
+  sleep,
+} from "./resilience.js";
+
+export interface RequestOptions {
+  /**
+   * Whether the request may be repeated after a transient failure. Defaults to
+   * true for GET/HEAD; set it for POSTs that are idempotent (e.g. read-only
+   * queries). Other requests are only retried when they never reached Omniscope.
+   */
+  retrySafe?: boolean;
+}
+
+/**
+ * Base class for the per-API clients (workflow, scheduler, ...).
+ */
+export abstract class OmniscopeClient {
+  /** Human readable API name used in error messages, e.g. "Workflow API". */
+  protected abstract readonly apiName: string;
+
+  constructor(
+    protected readonly config: ServerConfig,
+    protected readonly baseUrl: string
+  ) {}
+
+  /**
+   * Sends a request and parses the response body as JSON.
+   */
+  protected request<T>(
+    url: string,
+    init: RequestInit = {},
+    options: RequestOptions = {}
+  ): Promise<T> {
+    return this.send(url, init, options, async (response) => {
+      if (response.status === 204) return {} as T;
+      return (await response.json()) as T;
+    });
+  }
+
+  /**
+   * Sends a request and returns the raw response body, for endpoints that
+   * answer with plain text (e.g. a bare job id).
+   */
+  protected requestText(
+    url: string,
+    init: RequestInit = {},
+    options: RequestOptions = {}
+  ): Promise<string> {
+    return this.send(url, init, options, (response) => response.text());
+  }
+
+  /**
+   * Sends a request through the base URL's circuit breaker, retrying
+   * transient failures when that is safe for the request.
+   */
+  private async send<T>(
+    url: string,
+    init: RequestInit,
+    options: RequestOptions,
+    read: (response: Response) => Promise<T>
+  ): Promise<T> {
+    const method = (init.method ?? "GET").toUpperCase();
+    const retrySafe = options.retrySafe ?? (method === "GET" || method === "HEAD");
+    const breaker = getCircuitBreaker(this.baseUrl, this.config.circuitBreaker);
+    const maxAttempts = Math.max(1, this.config.retry.maxAttempts);
+
+    for (let attempt = 1; ; attempt++) {
+      breaker.beforeRequest();
+
+      try {
+        const result = await this.sendOnce(url, init, read);
+        breaker.recordSuccess();
+        return result;
+      } catch (err) {
+        if (!isTransientError(err)) {
+          // Omniscope answered (e.g. 4xx), so it is up
+          breaker.recordSuccess();
+          throw err;
+        }
+        breaker.recordFailure();
+
+        const canRetry = retrySafe || isNotSentError(err);
+        if (!canRetry || attempt >= maxAttempts || breaker.state === "open") {
+          if (attempt > 1 && err instanceof Error) {
+            err.message = `${err.message} (after ${attempt} attempts)`;
+          }
+          throw err;
+        }
+
+        await sleep(backoffDelay(attempt, this.config.retry));
+      }
+    }
+  }
+
+  private async sendOnce<T>(
+    url: string,
+    init: RequestInit,
+    read: (response: Response) => Promise<T>
+  ): Promise<T> {
+    const headers = new Headers(init.headers);
+    headers.set("Accept", "application/json");
+
+    const authHeaders = createAuthHeaders(this.config);
+    Object.entries(authHeaders).forEach(([k, v]) => headers.set(k, v));
+
+    if (typeof init.body === "string" && !headers.has("Content-Type")) {
+      headers.set("Content-Type", "application/json");
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(
+      () => controller.abort(),
+      this.config.requestTimeoutMs
+    );
+
+    const started = Date.now();
+    let status: number | undefined;
+
+    try {
+      const response = await fetch(url, { ...init, headers, signal: controller.signal });
+      status = response.status;
+
+      if (!response.ok) {
+        let msg = response.statusText;
+        try {
+          const json = await response.json();
+          msg = JSON.stringify(json);
+        } catch {}
+        throw new OmniscopeHttpError(
+          `${this.apiName} error (${response.status}): ${msg}`,
+          response.status
+        );
+      }
+
+      return await read(response);
+    } finally {
+      clearTimeout(timeout);
+      const durationMs = Date.now() - started;
+      recordOmniscopeRequest({
+        method: init.method ?? "GET",
+        url,
+        status,
+        durationMs,
+      });
+      omniscopeRequestDuration.observe(
+        {
+          instance: this.config.name,
+          api: this.apiName,
+          method: (init.method ?? "GET").toUpperCase(),
+          status: status === undefined ? "error" : String(status),
+        },
+        durationMs / 1000
+      );
+    }
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Thin HTTP client for Omniscope Project REST API.
+ * Keeps all networking and authentication logic out of the MCP tool definitions.
+ */
+import { ServerConfig, resolveBaseUrl, validateProjectPath } from "../../config.js";
+import { OmniscopeClient } from "../omniscope-client.js";
+
+export interface CreateProjectArgs {
+  folderPath: string;
+  name: string;
+  templateId: string;
+  parameters?: Record<string, unknown>;
+  dryRun?: boolean;
+}
+
+/**
+ * Mirrors the Project API `ProjectApiCreateRequest` body.
+ */
+export interface CreateProjectRequest {
+  name: string;
+  templateId: string;
+  parameters?: Record<string, unknown>;
+}
+
+export interface CreateProjectResponse {
+  name: string;
+  path: string;
+  [key: string]: unknown;
+}
+
+/** Path of the Project API relative to a folder or project path. */
+export const PROJECT_API_PATH = "/_api_/v1";
+
+/**
+ * Wraps all project REST calls and enforces the server-side config constraints.
+ */
+export class ProjectClient extends OmniscopeClient {
+  protected readonly apiName = "Project API";
+
+  private buildUrl(path: string, suffix: string) {
+    const base = this.baseUrl.replace(/\/+$/, "");
+    const withLeading = path.startsWith("/") ? path : `/${path}`;
+    const clean = withLeading.replace(/\/+$/, "");
+
+    return `${base}${clean}${PROJECT_API_PATH}${suffix}`;
+  }
+
+  // ---------- Endpoints ----------
+
+  /**
+   * Creates a project from a template or returns a dry-run payload.
+   * Both the target folder and the resulting project path must pass the prefix allow-list.
+   */
+  createProject(args: CreateProjectArgs) {
+    if (!args.name || /[\\/]|^\.\.?$/.test(args.name)) {
+      throw new Error(
+        `Project name "${args.name}" is not valid. It must not be empty or contain path separators.`,
+      );
+    }
+
+    const f = validateProjectPath(this.config, args.folderPath);
+    const projectPath = validateProjectPath(
+      this.config,
+      `${f.replace(/\/+$/, "")}/${args.name}.iox`,
+    );
+
+    const body: CreateProjectRequest = {
+      name: args.name,
+      templateId: args.templateId,
+    };
+    if (args.parameters) body.parameters = args.parameters;
+
+    if (args.dryRun)
+      return { dryRun: true, folderPath: f, projectPath, body };
+
+    return this.request<CreateProjectResponse>(this.buildUrl(f, "/create"), {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+  }
+}
+
+/**
+ * Factory that instantiates ProjectClient with the normalized base URL.
+ */
+export const createProjectClient = (config: ServerConfig) =>
+  new ProjectClient(config, resolveBaseUrl(config));
@@ -0,0 +1,102 @@
+/**
+ * project-tools.ts
+ *
+ * This module registers all **Project API** MCP tools on the given McpServer.
+ * Each tool:
+ *   - validates input using Zod schemas,
+ *   - logs the tool invocation and arguments,
+ *   - delegates to the ProjectClient (which calls Omniscope’s Project API),
+ *   - wraps the JSON response into MCP-compatible tool output.
+ */
+
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+
+import { ServerConfig, resolveInstance } from "../../config.js";
+import { authorizeProject } from "../../policy.js";
+import {
+  createToolLogger,
+  getCaller,
+  instanceArg,
+  toJsonResult,
+  ToolExtra,
+} from "../tool-helpers.js";
+import { createProjectClient, CreateProjectArgs } from "./project-client.js";
+
+const logTools = createToolLogger("[project-tools]");
+
+// ---------- Schemas (tool-facing input validation) ----------
+
+/**
+ * Input for creating a project from a template.
+ *
+ * folder_path Folder the new project is created in, e.g. "/mcptest"
+ * name        Name of the new project (without ".iox")
+ * template_id Template to create the project from, e.g. "Import data file"
+ * parameters  Optional map of template parameter values
+ * dry_run     Optional: if true, do not create anything; just return a preview
+ * instance    Optional: name of the Omniscope instance (see list_instances)
+ */
+const createProjectSchema = z.object({
+  folder_path: z.string(),
+  name: z.string(),
+  template_id: z.string(),
+  parameters: z.record(z.any()).optional(),
+  dry_run: z.boolean().optional(),
+  instance: instanceArg,
+});
+
+// Types inferred from schemas (tool-facing)
+type CreateProjectToolInput = z.infer<typeof createProjectSchema>;
+
+// ---------- Registration: attach tools to the MCP server ----------
+
+/**
+ * Registers all Project-related tools on the given MCP server instance.
+ */
+export function registerProjectTools(server: McpServer, config: ServerConfig) {
+  // ---------------------------------------------------------------------------
+  // 1) Create project
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "project_create",
+    {
+      title: "Create project",
+      description:
+        "Create an Omniscope project from a template with optional parameter values and return its path.",
+      inputSchema: createProjectSchema.shape,
+    },
+    async (args: CreateProjectToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: project_create (raw args)", args);
+
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.folder_path,
+        "create",
+        args.instance,
+      );
+
+      const client = createProjectClient(
+        resolveInstance(config, args.instance),
+      );
+
+      // Map snake_case MCP input -> camelCase client args
+      const createArgs: CreateProjectArgs = {
+        folderPath: args.folder_path,
+        name: args.name,
+        templateId: args.template_id,
+        parameters: args.parameters,
+        dryRun: args.dry_run,
+      };
+
+      logTools("CLIENT CALL: createProject (normalized args)", createArgs);
+
+      const result = await client.createProject(createArgs);
+
+      logTools("CLIENT RESULT: createProject", result);
+
+      return toJsonResult(result);
+    },
+  );
+}
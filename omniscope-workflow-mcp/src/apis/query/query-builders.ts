@@ -0,0 +1,89 @@
+/**
+ * Builders that turn structured tool arguments into Omniscope Query API
+ * request bodies. Modelled on the query builders in the
+ * simple-table-with-filters example app.
+ */
+
+export type FilterValue = string | number | boolean | null;
+
+/** A single "field IN (values)" condition. `null` matches blank values. */
+export interface FieldFilter {
+  field: string;
+  values: FilterValue[];
+}
+
+export interface QueryRange {
+  start: number;
+  length: number;
+}
+
+/**
+ * Structured description of one Query API table query.
+ * When `groupBy` is set the query returns the distinct values of that field
+ * instead of raw rows.
+ */
+export interface TableQuerySpec {
+  fields?: string[];
+  filters?: FieldFilter[];
+  groupBy?: string;
+  range?: Partial<QueryRange>;
+}
+
+/**
+ * Combines all non-empty field filters into a single AND clause, or returns
+ * null when there is nothing to filter on.
+ */
+export function buildFilterClause(filters: FieldFilter[] = []) {
+  const clauses = filters
+    .filter((f) => f.values.length > 0)
+    .map((f) => ({
+      type: "FIELD_VALUE",
+      inputField: f.field,
+      operator: "IN",
+      value: f.values,
+    }));
+
+  if (!clauses.length) return null;
+  return { type: "AND", filters: clauses };
+}
+
+/**
+ * Query returning the distinct values of `field`.
+ */
+export function buildDistinctQuery(field: string, range: QueryRange) {
+  return {
+    groupings: [{ inputField: field, type: "UNIQUE_VALUES", name: field }],
+    range,
+  };
+}
+
+/**
+ * Query returning raw rows for the given fields (all fields when omitted).
+ */
+export function buildTableRowsQuery(fields: string[] | undefined, range: QueryRange) {
+  const q: Record<string, unknown> = { range };
+  if (fields && fields.length) q.fields = fields;
+  return q;
+}
+
+/**
+ * Builds a complete table query body, clamping the requested range so it never
+ * asks for more than `maxRows` rows.
+ */
+export function buildTableQuery(spec: TableQuerySpec, maxRows: number) {
+  const start = Math.max(0, Math.floor(spec.range?.start ?? 0));
+  const length = Math.min(
+    maxRows,
+    Math.max(0, Math.floor(spec.range?.length ?? maxRows)),
+  );
+  const range = { start, length };
+
+  const q: Record<string, unknown> = spec.groupBy
+    ? buildDistinctQuery(spec.groupBy, range)
+    : buildTableRowsQuery(spec.fields, range);
+
+  const filter = buildFilterClause(spec.filters);
+  if (filter) q.filter = filter;
+
+  return q;
+}
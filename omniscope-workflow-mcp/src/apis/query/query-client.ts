@@ -0,0 +1,150 @@
+/**
+ * Thin HTTP client for Omniscope Query REST API.
+ * Keeps all networking and authentication logic out of the MCP tool definitions.
+ *
+ * A Query API endpoint belongs to a report data source inside a project, e.g.
+ * "/mcptest/Sales.iox/r/Dashboard/input/0/api/v1".
+ */
+import { ServerConfig, resolveBaseUrl, validateProjectPath } from "../../config.js";
+import { OmniscopeClient } from "../omniscope-client.js";
+import { buildTableQuery, QueryRange, TableQuerySpec } from "./query-builders.js";
+
+export interface QueryTableArgs extends TableQuerySpec {
+  endpoint: string;
+}
+
+export interface QueryBatchArgs {
+  endpoint: string;
+  queries: Record<string, TableQuerySpec>;
+}
+
+/**
+ * Table result as returned to the tool, with records capped to the rows requested.
+ * `truncated` is set when the data source reports more rows than were returned.
+ */
+export interface CappedTableResult {
+  schema?: unknown;
+  records: unknown[];
+  total?: number;
+  truncated: boolean;
+}
+
+/**
+ * Wraps all query REST calls and enforces the server-side config constraints.
+ */
+export class QueryClient extends OmniscopeClient {
+  protected readonly apiName = "Query API";
+
+  /**
+   * Accepts an endpoint path or a full URL on the configured Omniscope server
+   * and returns the normalized path (no origin, no trailing slash).
+   */
+  resolveEndpointPath(endpoint: string) {
+    let path = endpoint.trim();
+    const base = this.baseUrl.replace(/\/+$/, "");
+
+    if (/^https?:\/\//i.test(path)) {
+      if (!path.startsWith(`${base}/`)) {
+        throw new Error(
+          `Query endpoint "${endpoint}" is not on the configured Omniscope server ${base}`,
+        );
+      }
+      path = path.substring(base.length);
+    }
+
+    if (!path.startsWith("/")) path = `/${path}`;
+    path = path.replace(/\/+$/, "");
+
+    return validateProjectPath(this.config, path);
+  }
+
+  private buildUrl(endpoint: string, suffix: string) {
+    const base = this.baseUrl.replace(/\/+$/, "");
+    return `${base}${this.resolveEndpointPath(endpoint)}${suffix}`;
+  }
+
+  private capRecords(result: any, range: QueryRange): CappedTableResult {
+    const records: unknown[] = result?.records ?? result?.table?.records ?? [];
+    const kept = records.slice(0, range.length);
+    const total =
+      result?.total ?? result?.totalRecords ?? result?.count ?? result?.range?.total;
+
+    return {
+      schema: result?.schema ?? result?.table?.schema,
+      records: kept,
+      total: typeof total === "number" ? total : undefined,
+      // The request already asks for at most range.length rows, so rows left
+      // out only show in the reported total
+      truncated:
+        typeof total === "number"
+          ? total > range.start + kept.length
+          : records.length > kept.length,
+    };
+  }
+
+  // ---------- Endpoints ----------
+
+  /**
+   * Reads the schema (fields and types) of a report data source.
+   */
+  getSchema(endpoint: string) {
+    return this.request<Record<string, unknown>>(this.buildUrl(endpoint, "/schema"));
+  }
+
+  /**
+   * Runs a single table query, capped to `queryMaxRows` rows.
+   */
+  async queryTable(args: QueryTableArgs) {
+    const { endpoint, ...spec } = args;
+    const body = buildTableQuery(spec, this.config.queryMaxRows);
+
+    // Queries only read data, so they are safe to retry
+    const result = await this.request<unknown>(
+      this.buildUrl(endpoint, "/table"),
+      { method: "POST", body: JSON.stringify(body) },
+      { retrySafe: true },
+    );
+
+    return this.capRecords(result, body.range as QueryRange);
+  }
+
+  /**
+   * Runs several named table queries in one round trip. The queries share
+   * one budget of `queryMaxRows` rows, split evenly between them.
+   */
+  async queryBatch(args: QueryBatchArgs) {
+    const keys = Object.keys(args.queries);
+    const max = this.config.queryMaxRows;
+    if (keys.length > max) {
+      throw new Error(
+        `A batch can hold at most ${max} queries (OMNI_QUERY_MAX_ROWS); got ${keys.length}.`,
+      );
+    }
+    const rowsPerQuery = Math.floor(max / Math.max(keys.length, 1));
+
+    const queries: Record<string, Record<string, unknown>> = {};
+    keys.forEach((key) => {
+      queries[key] = buildTableQuery(args.queries[key], rowsPerQuery);
+    });
+
+    const result = await this.request<any>(
+      this.buildUrl(args.endpoint, "/batch"),
+      { method: "POST", body: JSON.stringify({ queries }) },
+      { retrySafe: true },
+    );
+
+    const results = result?.results ?? result ?? {};
+    const capped: Record<string, CappedTableResult> = {};
+    keys.forEach((key) => {
+      capped[key] = this.capRecords(results[key], queries[key].range as QueryRange);
+    });
+
+    return { results: capped };
+  }
+}
+
+/**
+ * Factory that instantiates QueryClient with the normalized base URL.
+ */
+export const createQueryClient = (config: ServerConfig) =>
+  new QueryClient(config, resolveBaseUrl(config));
@@ -0,0 +1,245 @@
+/**
+ * query-tools.ts
+ *
+ * This module registers all **Query API** MCP tools on the given McpServer.
+ * Each tool:
+ *   - validates input using Zod schemas,
+ *   - logs the tool invocation and arguments,
+ *   - delegates to the QueryClient (which calls Omniscope’s Query API),
+ *   - wraps the JSON response into MCP-compatible tool output.
+ *
+ * Row counts are capped by OMNI_QUERY_MAX_ROWS so results stay small enough
+ * for the model's context.
+ */
+
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+
+import { ServerConfig, resolveInstance } from "../../config.js";
+import { authorizeProject } from "../../policy.js";
+import {
+  createToolLogger,
+  getCaller,
+  instanceArg,
+  toJsonResult,
+  ToolExtra,
+} from "../tool-helpers.js";
+import { createQueryClient, QueryBatchArgs, QueryTableArgs } from "./query-client.js";
+import { TableQuerySpec } from "./query-builders.js";
+
+const logTools = createToolLogger("[query-tools]");
+
+// ---------- Schemas (tool-facing input validation) ----------
+
+/**
+ * endpoint Query API endpoint of a report data source, e.g.
+ *          "/mcptest/Sales.iox/r/Dashboard/input/0/api/v1"
+ */
+const endpointField = z
+  .string()
+  .describe(
+    'Query API endpoint, e.g. "/mcptest/Sales.iox/r/Dashboard/input/0/api/v1"',
+  );
+
+/**
+ * A single table query.
+ *
+ * fields   Optional list of fields to return (all fields when omitted)
+ * filters  Optional list of { field, values } conditions, combined with AND;
+ *          a null value matches blank cells
+ * group_by Optional: return the distinct values of this field instead of rows
+ * start    Optional: index of the first row to return (default 0)
+ * length   Optional: number of rows to return (capped by OMNI_QUERY_MAX_ROWS)
+ */
+const tableQueryShape = {
+  fields: z.array(z.string()).optional(),
+  filters: z
+    .array(
+      z.object({
+        field: z.string(),
+        values: z.array(z.union([z.string(), z.number(), z.boolean(), z.null()])),
+      }),
+    )
+    .optional(),
+  group_by: z.string().optional(),
+  start: z.number().int().min(0).optional(),
+  length: z.number().int().min(0).optional(),
+};
+
+const tableQuerySchema = z.object(tableQueryShape);
+
+/**
+ * Input for reading a data source schema.
+ *
+ * instance Optional: name of the Omniscope instance (see list_instances)
+ */
+const schemaSchema = z.object({
+  endpoint: endpointField,
+  instance: instanceArg,
+});
+
+/**
+ * Input for running a single table query.
+ *
+ * instance Optional: name of the Omniscope instance (see list_instances)
+ */
+const tableSchema = z.object({
+  endpoint: endpointField,
+  ...tableQueryShape,
+  instance: instanceArg,
+});
+
+/**
+ * Input for running several named table queries at once.
+ *
+ * queries  Map of result key -> table query
+ * instance Optional: name of the Omniscope instance (see list_instances)
+ */
+const batchSchema = z.object({
+  endpoint: endpointField,
+  queries: z.record(tableQuerySchema),
+  instance: instanceArg,
+});
+
+// Types inferred from schemas (tool-facing)
+type SchemaToolInput = z.infer<typeof schemaSchema>;
+type TableToolInput = z.infer<typeof tableSchema>;
+type BatchToolInput = z.infer<typeof batchSchema>;
+type TableQueryToolInput = z.infer<typeof tableQuerySchema>;
+
+/**
+ * Maps snake_case tool query input -> camelCase query spec.
+ */
+const toQuerySpec = (q: TableQueryToolInput): TableQuerySpec => ({
+  fields: q.fields,
+  filters: q.filters,
+  groupBy: q.group_by,
+  range: { start: q.start, length: q.length },
+});
+
+// ---------- Registration: attach tools to the MCP server ----------
+
+/**
+ * Registers all Query-related tools on the given MCP server instance.
+ */
+export function registerQueryTools(server: McpServer, config: ServerConfig) {
+  // ---------------------------------------------------------------------------
+  // 1) Schema
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "query_schema",
+    {
+      title: "Get data schema",
+      description:
+        "Fetch the fields and types of an Omniscope report data source via the Query API.",
+      inputSchema: schemaSchema.shape,
+    },
+    async (args: SchemaToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: query_schema (raw args)", args);
+
+      const client = createQueryClient(resolveInstance(config, args.instance));
+
+      authorizeProject(
+        config,
+        getCaller(extra),
+        client.resolveEndpointPath(args.endpoint),
+        "read",
+        args.instance,
+      );
+
+      const result = await client.getSchema(args.endpoint);
+
+      logTools("CLIENT RESULT: getSchema", result);
+
+      return toJsonResult(result);
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 2) Table
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "query_table",
+    {
+      title: "Query table",
+      description:
+        `Read rows (or the distinct values of a field) from an Omniscope report data source, with optional filters and paging. At most ${config.queryMaxRows} rows are returned per call.`,
+      inputSchema: tableSchema.shape,
+    },
+    async (args: TableToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: query_table (raw args)", args);
+
+      const client = createQueryClient(resolveInstance(config, args.instance));
+
+      authorizeProject(
+        config,
+        getCaller(extra),
+        client.resolveEndpointPath(args.endpoint),
+        "read",
+        args.instance,
+      );
+
+      // Map snake_case MCP input -> camelCase client args
+      const { endpoint, ...query } = args;
+      const tableArgs: QueryTableArgs = { endpoint, ...toQuerySpec(query) };
+
+      logTools("CLIENT CALL: queryTable (normalized args)", tableArgs);
+
+      const result = await client.queryTable(tableArgs);
+
+      logTools("CLIENT RESULT: queryTable", {
+        records: result.records.length,
+        total: result.total,
+        truncated: result.truncated,
+      });
+
+      return toJsonResult(result);
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 3) Batch
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "query_batch",
+    {
+      title: "Batch query",
+      description:
+        `Run several named table queries against one Omniscope report data source in a single request. The queries share a budget of ${config.queryMaxRows} rows, split evenly between them.`,
+      inputSchema: batchSchema.shape,
+    },
+    async (args: BatchToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: query_batch (raw args)", args);
+
+      const client = createQueryClient(resolveInstance(config, args.instance));
+
+      authorizeProject(
+        config,
+        getCaller(extra),
+        client.resolveEndpointPath(args.endpoint),
+        "read",
+        args.instance,
+      );
+
+      // Map snake_case MCP input -> camelCase client args
+      const queries: QueryBatchArgs["queries"] = {};
+      Object.entries(args.queries).forEach(([key, q]) => {
+        queries[key] = toQuerySpec(q);
+      });
+      const batchArgs: QueryBatchArgs = { endpoint: args.endpoint, queries };
+
+      logTools("CLIENT CALL: queryBatch (normalized args)", batchArgs);
+
+      const result = await client.queryBatch(batchArgs);
+
+      logTools(
+        "CLIENT RESULT: queryBatch",
+        Object.fromEntries(
+          Object.entries(result.results).map(([k, r]) => [k, r.records.length]),
+        ),
+      );
+
+      return toJsonResult(result);
+    },
+  );
+}
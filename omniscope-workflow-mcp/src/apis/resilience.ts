@@ -0,0 +1,182 @@
+/**
+ * Retry and circuit-breaker helpers for outbound Omniscope requests.
+ *
+ *  - Transient failures (timeouts, network errors, 502/503/504) are retried
+ *    with exponential backoff and full jitter. Requests that are not safe to
+ *    repeat (e.g. POST /w/execute) are only retried when the connection was
+ *    never established, so Omniscope cannot have acted on them.
+ *  - One circuit breaker per Omniscope base URL opens after a run of
+ *    consecutive transient failures and fails fast until a cool-down has
+ *    passed, then lets a single probe request through.
+ */
+
+export interface RetryConfig {
+  /** Total attempts including the first one. */
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+export interface CircuitBreakerConfig {
+  /** Consecutive transient failures that open the circuit. */
+  failureThreshold: number;
+  /** How long the circuit stays open before a probe is allowed. */
+  resetMs: number;
+}
+
+/**
+ * Non-2xx response from Omniscope.
+ */
+export class OmniscopeHttpError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+  ) {
+    super(message);
+    this.name = "OmniscopeHttpError";
+  }
+}
+
+/**
+ * Raised without contacting Omniscope while its circuit is open.
+ */
+export class CircuitOpenError extends Error {
+  constructor(baseUrl: string, failures: number, retryInMs: number) {
+    super(
+      `Omniscope at ${baseUrl} is unavailable: ${failures} consecutive requests failed, ` +
+        `so calls are paused for another ${Math.ceil(retryInMs / 1000)}s. Try again later.`,
+    );
+    this.name = "CircuitOpenError";
+  }
+}
+
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+/** Error codes meaning the request never reached Omniscope. */
+const NOT_SENT_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+/** Error codes of network failures worth retrying, as fetch reports them. */
+const NETWORK_ERROR_CODES = new Set([
+  ...NOT_SENT_CODES,
+  "ECONNRESET",
+  "ECONNABORTED",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CLOSED",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+const errorCode = (err: unknown): string | undefined => {
+  const cause = (err as { cause?: { code?: string } })?.cause;
+  return cause?.code ?? (err as { code?: string })?.code;
+};
+
+/**
+ * True when the request failed before a connection to Omniscope existed.
+ */
+export const isNotSentError = (err: unknown) =>
+  NOT_SENT_CODES.has(errorCode(err) ?? "");
+
+/**
+ * True for failures that suggest Omniscope is (temporarily) unavailable:
+ * gateway errors, timeouts and network errors.
+ */
+export function isTransientError(err: unknown): boolean {
+  if (err instanceof OmniscopeHttpError) return RETRYABLE_STATUSES.has(err.status);
+  if (err instanceof CircuitOpenError) return false;
+  if ((err as Error)?.name === "AbortError") return true;
+  // fetch() reports network failures as a TypeError whose cause has the
+  // code; other TypeErrors (e.g. an invalid URL) are bugs, not outages
+  const cause = (err as { cause?: { code?: unknown } })?.cause;
+  return (
+    err instanceof TypeError &&
+    typeof cause?.code === "string" &&
+    NETWORK_ERROR_CODES.has(cause.code)
+  );
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff with full jitter.
+ */
+export function backoffDelay(attempt: number, config: RetryConfig): number {
+  const cap = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * cap);
+}
+
+/**
+ * Consecutive-failure circuit breaker (closed -> open -> half-open -> closed).
+ */
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt = 0;
+  private probeInFlight = false;
+
+  constructor(
+    private readonly baseUrl: string,
+    private readonly config: CircuitBreakerConfig,
+  ) {}
+
+  get state(): "closed" | "open" | "half-open" {
+    if (this.failures < this.config.failureThreshold) return "closed";
+    return Date.now() - this.openedAt >= this.config.resetMs ? "half-open" : "open";
+  }
+
+  /**
+   * Throws CircuitOpenError when requests should not be sent right now.
+   */
+  beforeRequest() {
+    const state = this.state;
+    if (state === "closed") return;
+
+    if (state === "half-open" && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return;
+    }
+
+    const retryInMs = Math.max(0, this.config.resetMs - (Date.now() - this.openedAt));
+    throw new CircuitOpenError(this.baseUrl, this.failures, retryInMs);
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.probeInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probeInFlight = false;
+    if (this.failures >= this.config.failureThreshold) {
+      // (Re)open, restarting the cool-down
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+const breakers = new Map<string, CircuitBreaker>();
+
+/**
+ * Returns the shared circuit breaker for an Omniscope base URL.
+ */
+export function getCircuitBreaker(
+  baseUrl: string,
+  config: CircuitBreakerConfig,
+): CircuitBreaker {
+  let breaker = breakers.get(baseUrl);
+  if (!breaker) {
+    breaker = new CircuitBreaker(baseUrl, config);
+    breakers.set(baseUrl, breaker);
+  }
+  return breaker;
+}
+
+export const sleep = (ms: number) =>
+  new Promise<void>((resolve) => setTimeout(resolve, ms));
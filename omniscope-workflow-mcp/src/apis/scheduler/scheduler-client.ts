@@ -0,0 +1,95 @@
+/**
+ * Thin HTTP client for Omniscope Scheduler REST API.
+ * Keeps all networking and authentication logic out of the MCP tool definitions.
+ */
+import {
+  ServerConfig,
+  resolveBaseUrl,
+  validateSchedulerTaskName,
+} from "../../config.js";
+import { OmniscopeClient } from "../omniscope-client.js";
+
+export interface ExecuteTaskArgs {
+  taskName: string;
+  dryRun?: boolean;
+}
+
+export interface CancelJobArgs {
+  jobId: string;
+  dryRun?: boolean;
+}
+
+export type SchedulerJobStatus =
+  | "QUEUED"
+  | "RUNNING"
+  | "COMPLETED"
+  | "FAILED"
+  | "CANCELLED";
+
+export interface SchedulerJob {
+  status: SchedulerJobStatus;
+  [key: string]: unknown;
+}
+
+/** Path of the Scheduler API relative to the Omniscope base URL. */
+export const SCHEDULER_API_PATH = "/_admin_/scheduler/api/v1";
+
+/**
+ * Wraps all scheduler REST calls and enforces the server-side config constraints.
+ */
+export class SchedulerClient extends OmniscopeClient {
+  protected readonly apiName = "Scheduler API";
+
+  private buildUrl(suffix: string) {
+    const base = this.baseUrl.replace(/\/+$/, "");
+    return `${base}${SCHEDULER_API_PATH}${suffix}`;
+  }
+
+  // ---------- Endpoints ----------
+
+  /**
+   * Lists all scheduler jobs known to Omniscope.
+   */
+  listJobs() {
+    return this.request<SchedulerJob[]>(this.buildUrl("/all/"));
+  }
+
+  /**
+   * Starts a scheduler task or returns a dry-run payload.
+   * Omniscope answers with the bare job id as plain text.
+   */
+  async executeTask(args: ExecuteTaskArgs) {
+    const taskName = validateSchedulerTaskName(this.config, args.taskName);
+    const url = this.buildUrl(`/task/${encodeURIComponent(taskName)}/execute/`);
+    if (args.dryRun) return { dryRun: true, taskName, url };
+
+    const jobId = await this.requestText(url, { method: "POST" });
+    return { jobId: jobId.trim() };
+  }
+
+  /**
+   * Reads the state of a scheduler job.
+   */
+  getJob(jobId: string) {
+    return this.request<SchedulerJob>(
+      this.buildUrl(`/job/${encodeURIComponent(jobId)}/`)
+    );
+  }
+
+  /**
+   * Requests cancellation of a scheduler job or previews the request when `dryRun` is true.
+   */
+  async cancelJob(args: CancelJobArgs) {
+    const url = this.buildUrl(`/job/${encodeURIComponent(args.jobId)}/`);
+    if (args.dryRun) return { dryRun: true, jobId: args.jobId, url };
+
+    await this.requestText(url, { method: "DELETE" }, { retrySafe: true });
+    return { jobId: args.jobId, cancelRequested: true };
+  }
+}
+
+/**
+ * Factory that instantiates SchedulerClient with the normalized base URL.
+ */
+export const createSchedulerClient = (config: ServerConfig) =>
+  new SchedulerClient(config, resolveBaseUrl(config));
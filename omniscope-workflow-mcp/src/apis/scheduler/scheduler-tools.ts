@@ -0,0 +1,220 @@
+/**
+ * scheduler-tools.ts
+ *
+ * This module registers all **Scheduler API** MCP tools on the given McpServer.
+ * Each tool:
+ *   - validates input using Zod schemas,
+ *   - logs the tool invocation and arguments,
+ *   - delegates to the SchedulerClient (which calls Omniscope’s Scheduler API),
+ *   - wraps the JSON response into MCP-compatible tool output.
+ */
+
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+
+import { ServerConfig, resolveInstance } from "../../config.js";
+import { authorizeScheduler } from "../../policy.js";
+import {
+  createToolLogger,
+  getCaller,
+  instanceArg,
+  toJsonResult,
+  ToolExtra,
+} from "../tool-helpers.js";
+import {
+  createSchedulerClient,
+  CancelJobArgs,
+  ExecuteTaskArgs,
+} from "./scheduler-client.js";
+
+const logTools = createToolLogger("[scheduler-tools]");
+
+// ---------- Schemas (tool-facing input validation) ----------
+
+/**
+ * Input for listing scheduler jobs.
+ *
+ * instance Optional: name of the Omniscope instance (see list_instances)
+ */
+const listJobsSchema = z.object({
+  instance: instanceArg,
+});
+
+/**
+ * Input for executing a scheduler task.
+ *
+ * task_name Name of the task as configured in the Omniscope Scheduler
+ * dry_run   Optional: if true, do not actually execute; just return a preview
+ * instance  Optional: name of the Omniscope instance (see list_instances)
+ */
+const executeTaskSchema = z.object({
+  task_name: z.string(),
+  dry_run: z.boolean().optional(),
+  instance: instanceArg,
+});
+
+/**
+ * Input for retrieving a scheduler job.
+ *
+ * job_id   Identifier returned by scheduler_execute_task
+ * instance Optional: name of the Omniscope instance (see list_instances)
+ */
+const getJobSchema = z.object({
+  job_id: z.string(),
+  instance: instanceArg,
+});
+
+/**
+ * Input for cancelling a scheduler job.
+ *
+ * job_id   Identifier returned by scheduler_execute_task
+ * dry_run  Optional: if true, do not actually cancel; just return a preview
+ * instance Optional: name of the Omniscope instance (see list_instances)
+ */
+const cancelJobSchema = z.object({
+  job_id: z.string(),
+  dry_run: z.boolean().optional(),
+  instance: instanceArg,
+});
+
+// Types inferred from schemas (tool-facing)
+type ListJobsToolInput = z.infer<typeof listJobsSchema>;
+type ExecuteTaskToolInput = z.infer<typeof executeTaskSchema>;
+type GetJobToolInput = z.infer<typeof getJobSchema>;
+type CancelJobToolInput = z.infer<typeof cancelJobSchema>;
+
+// ---------- Registration: attach tools to the MCP server ----------
+
+/**
+ * Registers all Scheduler-related tools on the given MCP server instance.
+ */
+export function registerSchedulerTools(server: McpServer, config: ServerConfig) {
+  // ---------------------------------------------------------------------------
+  // 1) List jobs
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "scheduler_list_jobs",
+    {
+      title: "List scheduler jobs",
+      description: "List all jobs known to the Omniscope Scheduler.",
+      inputSchema: listJobsSchema.shape,
+    },
+    async (args: ListJobsToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: scheduler_list_jobs");
+
+      authorizeScheduler(config, getCaller(extra), "read");
+
+      const client = createSchedulerClient(
+        resolveInstance(config, args.instance),
+      );
+
+      const result = await client.listJobs();
+
+      logTools("CLIENT RESULT: listJobs", {
+        count: Array.isArray(result) ? result.length : undefined,
+      });
+
+      return toJsonResult(result);
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 2) Execute task
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "scheduler_execute_task",
+    {
+      title: "Execute scheduler task",
+      description:
+        "Execute an Omniscope Scheduler task by name and return the job identifier.",
+      inputSchema: executeTaskSchema.shape,
+    },
+    async (args: ExecuteTaskToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: scheduler_execute_task (raw args)", args);
+
+      authorizeScheduler(config, getCaller(extra), "execute");
+
+      const client = createSchedulerClient(
+        resolveInstance(config, args.instance),
+      );
+
+      // Map snake_case MCP input -> camelCase client args
+      const execArgs: ExecuteTaskArgs = {
+        taskName: args.task_name,
+        dryRun: args.dry_run,
+      };
+
+      logTools("CLIENT CALL: executeTask (normalized args)", execArgs);
+
+      const result = await client.executeTask(execArgs);
+
+      logTools("CLIENT RESULT: executeTask", result);
+
+      return toJsonResult(result);
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 3) Get job
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "scheduler_get_job",
+    {
+      title: "Get scheduler job",
+      description:
+        "Retrieve the status of an Omniscope Scheduler job using its identifier.",
+      inputSchema: getJobSchema.shape,
+    },
+    async (args: GetJobToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: scheduler_get_job (raw args)", args);
+
+      authorizeScheduler(config, getCaller(extra), "read");
+
+      const client = createSchedulerClient(
+        resolveInstance(config, args.instance),
+      );
+
+      const result = await client.getJob(args.job_id);
+
+      logTools("CLIENT RESULT: getJob", result);
+
+      return toJsonResult(result);
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 4) Cancel job
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "scheduler_cancel_job",
+    {
+      title: "Cancel scheduler job",
+      description:
+        "Request cancellation of a running Omniscope Scheduler job.",
+      inputSchema: cancelJobSchema.shape,
+    },
+    async (args: CancelJobToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: scheduler_cancel_job (raw args)", args);
+
+      authorizeScheduler(config, getCaller(extra), "execute");
+
+      const client = createSchedulerClient(
+        resolveInstance(config, args.instance),
+      );
+
+      // Map snake_case MCP input -> camelCase client args
+      const cancelArgs: CancelJobArgs = {
+        jobId: args.job_id,
+        dryRun: args.dry_run,
+      };
+
+      logTools("CLIENT CALL: cancelJob (normalized args)", cancelArgs);
+
+      const result = await client.cancelJob(cancelArgs);
+
+      logTools("CLIENT RESULT: cancelJob", result);
+
+      return toJsonResult(result);
+    },
+  );
+}
@@ -0,0 +1,79 @@
+/**
+ * Helpers shared by every MCP tool family (workflow, scheduler, ...).
+ *
+ * Logging:
+ *   - Uses console.log so logs appear in `docker compose logs -f mcp-server`.
+ *   - Controlled by env var MCP_LOG_TOOLS:
+ *       - unset or "true"  -> logging enabled (default)
+ *       - "false"          -> logging disabled
+ */
+
+import { z } from "zod";
+import { RequestHandlerExtra } from "@modelcontextprotocol/sdk/shared/protocol.js";
+import {
+  ServerNotification,
+  ServerRequest,
+} from "@modelcontextprotocol/sdk/types.js";
+
+import { ANONYMOUS_USER } from "../policy.js";
+import { redact } from "../audit.js";
+
+/** Per-call context the MCP SDK passes to every tool handler. */
+export type ToolExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+/**
+ * Optional `instance` argument accepted by every tool that talks to
+ * Omniscope. Resolved with resolveInstance() in config.ts.
+ */
+export const instanceArg = z
+  .string()
+  .optional()
+  .describe(
+    "Name of the Omniscope instance to target (see list_instances); defaults to the default instance",
+  );
+
+/**
+ * Returns the authenticated MCP user behind a tool call, as attached to the
+ * request by the /mcp auth middleware in server.ts.
+ */
+export const getCaller = (extra: ToolExtra): string =>
+  extra.authInfo?.clientId ?? ANONYMOUS_USER;
+
+/**
+ * Creates a logging helper that tags every line with the given prefix,
+ * e.g. "[workflow-tools]". Logged data is redacted like audit entries.
+ * Logs only when MCP_LOG_TOOLS is not set to "false".
+ */
+export const createToolLogger =
+  (prefix: string) => (message: string, data?: unknown) => {
+    if (process.env.MCP_LOG_TOOLS === "false") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+
+    if (data === undefined) {
+      console.log(`${prefix} [${timestamp}] ${message}`);
+    } else {
+      console.log(
+        `${prefix} [${timestamp}] ${message}\n` +
+          JSON.stringify(redact(data), null, 2),
+      );
+    }
+  };
+
+/**
+ * Wraps arbitrary JSON or string payload into an MCP tool response.
+ * The OpenAI model will see this as a "text" content block.
+ */
+export const toJsonResult = (payload: unknown): any => ({
+  content: [
+    {
+      type: "text" as const,
+      text:
+        typeof payload === "string"
+          ? payload
+          : JSON.stringify(payload, null, 2),
+    },
+  ],
+});
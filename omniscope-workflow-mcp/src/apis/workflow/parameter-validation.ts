@@ -0,0 +1,191 @@
+/**
+ * Checks parameter values against a project's parameter definitions (as
+ * returned by `GET /w/param`) before they are sent to Omniscope, so callers
+ * get one clear error per field instead of a generic Omniscope failure.
+ */
+
+export type ParameterType =
+  | "TEXT"
+  | "NUMBER"
+  | "BOOLEAN"
+  | "DATE"
+  | "FILE"
+  | "FOLDER";
+
+/** One entry of the `paramValues` list returned by `GET /w/param`. */
+export interface ParameterDefinition {
+  name: string;
+  type: ParameterType | string;
+  value?: unknown;
+  required?: boolean;
+  /** Values the parameter is restricted to, when the project defines a list. */
+  allowedValues?: unknown[];
+  options?: unknown[];
+  [key: string]: unknown;
+}
+
+export interface ParameterValue {
+  name: string;
+  value: unknown;
+}
+
+export interface ParameterIssue {
+  name: string;
+  message: string;
+}
+
+export interface ValidateParametersOptions {
+  /**
+   * Also fail for required parameters that are not part of `values` and have
+   * no current value (used for lambda runs, which execute with the result).
+   */
+  checkMissingRequired?: boolean;
+}
+
+/**
+ * Thrown when one or more parameter values do not match their definitions.
+ */
+export class ParameterValidationError extends Error {
+  constructor(
+    projectPath: string,
+    readonly issues: ParameterIssue[],
+  ) {
+    super(
+      `Invalid parameters for "${projectPath}":\n` +
+        issues.map((i) => `- ${i.name}: ${i.message}`).join("\n"),
+    );
+    this.name = "ParameterValidationError";
+  }
+}
+
+const isEmpty = (value: unknown) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const describe = (value: unknown) =>
+  `${value === null ? "null" : typeof value} ${JSON.stringify(value)}`;
+
+/**
+ * Returns an error message when a single (non-empty) value does not fit the
+ * parameter type, or undefined when it does. Unknown types are not checked.
+ */
+function checkType(type: string, value: unknown): string | undefined {
+  switch (type) {
+    case "TEXT":
+      return typeof value === "string"
+        ? undefined
+        : `expected TEXT (a string), got ${describe(value)}`;
+    case "NUMBER":
+      return typeof value === "number" && Number.isFinite(value)
+        ? undefined
+        : `expected NUMBER, got ${describe(value)}`;
+    case "BOOLEAN":
+      return typeof value === "boolean"
+        ? undefined
+        : `expected BOOLEAN (true or false), got ${describe(value)}`;
+    case "DATE":
+      if (typeof value === "number" && Number.isFinite(value)) return undefined;
+      return typeof value === "string" && !Number.isNaN(Date.parse(value))
+        ? undefined
+        : `expected DATE (an ISO-8601 string or epoch milliseconds), got ${describe(value)}`;
+    case "FILE":
+    case "FOLDER":
+      return typeof value === "string" && value.trim().length > 0
+        ? undefined
+        : `expected ${type} (a path string), got ${describe(value)}`;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validates parameter values against their definitions and returns every
+ * problem found: unknown names, type mismatches, values outside the allowed
+ * list and empty required parameters.
+ */
+export function validateParameterValues(
+  definitions: ParameterDefinition[],
+  values: ParameterValue[],
+  options: ValidateParametersOptions = {},
+): ParameterIssue[] {
+  const byName = new Map(definitions.map((d) => [d.name, d]));
+  const issues: ParameterIssue[] = [];
+
+  for (const { name, value } of values) {
+    const def = byName.get(name);
+    if (!def) {
+      issues.push({
+        name,
+        message: `unknown parameter (known: ${
+          definitions.map((d) => d.name).join(", ") || "none"
+        })`,
+      });
+      continue;
+    }
+
+    if (isEmpty(value)) {
+      if (def.required) {
+        issues.push({
+          name,
+          message: `required ${def.type} parameter cannot be empty`,
+        });
+      }
+      continue;
+    }
+
+    const allowed = def.allowedValues ?? def.options;
+    const items = Array.isArray(value) ? value : [value];
+
+    for (const item of items) {
+      const typeError = checkType(def.type, item);
+      if (typeError) {
+        issues.push({ name, message: typeError });
+        break;
+      }
+
+      if (
+        Array.isArray(allowed) &&
+        allowed.length > 0 &&
+        !allowed.includes(item)
+      ) {
+        issues.push({
+          name,
+          message: `${JSON.stringify(item)} is not one of the allowed values: ${allowed
+            .map((a) => JSON.stringify(a))
+            .join(", ")}`,
+        });
+        break;
+      }
+    }
+  }
+
+  if (options.checkMissingRequired) {
+    const supplied = new Set(values.map((v) => v.name));
+    for (const def of definitions) {
+      if (def.required && !supplied.has(def.name) && isEmpty(def.value)) {
+        issues.push({
+          name: def.name,
+          message: `required ${def.type} parameter has no value; pass one in params`,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Like validateParameterValues, but throws a ParameterValidationError listing
+ * every problem.
+ */
+export function assertValidParameters(
+  projectPath: string,
+  definitions: ParameterDefinition[],
+  values: ParameterValue[],
+  options?: ValidateParametersOptions,
+) {
+  const issues = validateParameterValues(definitions, values, options);
+  if (issues.length) throw new ParameterValidationError(projectPath, issues);
+}
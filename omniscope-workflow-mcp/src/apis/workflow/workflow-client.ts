@@ -4,6 +4,8 @@
  */
 import { Buffer } from "node:buffer";
 import { ServerConfig, resolveBaseUrl, validateProjectPath } from "../../config.js";
+import { OmniscopeClient } from "../omniscope-client.js";
+import { ParameterDefinition } from "./parameter-validation.js";
 
 export interface ExecuteWorkflowArgs {
   projectPath: string;
@@ -24,11 +26,62 @@ export interface UpdateParametersArgs {
   dryRun?: boolean;
 }
 
+export interface UploadAndExecuteArgs {
+  projectPath: string;
+  /** Name of the FILE parameter the upload is bound to. */
+  parameterName: string;
+  fileName: string;
+  /** File content, either base64 encoded or plain text (see `encoding`). */
+  content: string;
+  encoding: "base64" | "text";
+  /** Inferred from the file extension when omitted. */
+  contentType?: string;
+  blocks?: string[];
+  deleteExecutionOnFinish?: boolean;
+  dryRun?: boolean;
+}
+
 export interface GetParametersArgs {
   projectPath: string;
   parameterName?: string;
 }
 
+/** Form field the uploaded file is sent under, referenced by `formDataKey`. */
+const UPLOAD_FORM_DATA_KEY = "uploadedFile_formdata_key";
+
+const CONTENT_TYPES_BY_EXTENSION: Record<string, string> = {
+  csv: "text/csv",
+  tsv: "text/tab-separated-values",
+  txt: "text/plain",
+  json: "application/json",
+  xml: "application/xml",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  parquet: "application/vnd.apache.parquet",
+};
+
+/**
+ * Guesses a content type from the file extension, falling back to a generic binary type.
+ */
+export function contentTypeForFile(fileName: string): string {
+  const ext = fileName.includes(".")
+    ? fileName.split(".").pop()!.toLowerCase()
+    : "";
+  return CONTENT_TYPES_BY_EXTENSION[ext] ?? "application/octet-stream";
+}
+
+/**
+ * Checks a content type against an allow-list that may contain wildcards such as "text/*".
+ * An empty allow-list allows everything.
+ */
+function isContentTypeAllowed(contentType: string, allowed: string[]) {
+  if (!allowed.length) return true;
+  const type = contentType.split(";")[0].trim().toLowerCase();
+  return allowed.some((a) =>
+    a.endsWith("/*") ? type.startsWith(a.slice(0, -1)) : type === a,
+  );
+}
+
 export type JobState =
   | "QUEUED"
   | "RUNNING"
@@ -39,16 +92,60 @@ export type JobState =
 
 export interface JobStateResponse {
   jobState: JobState;
+  errorType?: string;
+  errorMessage?: string;
+}
+
+/** States after which a job will not change any more. */
+export const TERMINAL_JOB_STATES: JobState[] = ["COMPLETED", "FAILED", "CANCELLED"];
+
+export interface WaitForJobOptions {
+  timeoutMs: number;
+  pollIntervalMs: number;
+  /** Aborts the wait early, e.g. when the MCP request is cancelled. */
+  signal?: AbortSignal;
+  /** Called after every poll with the latest state and the time waited so far. */
+  onPoll?: (state: JobStateResponse, elapsedMs: number) => void | Promise<void>;
+}
+
+/**
+ * Final outcome of waiting on a job. `timedOut` is set when the job was still
+ * running once the wait timeout elapsed; `pollError` when polling failed (or
+ * was aborted) first, in which case `jobState` is the last state seen and the
+ * job may still be running.
+ */
+export interface JobSummary {
+  projectPath: string;
+  jobId: string;
+  jobState: JobState | "UNKNOWN";
+  finished: boolean;
+  timedOut: boolean;
+  durationMs: number;
+  polls: number;
+  errorType?: string;
+  errorMessage?: string;
+  pollError?: string;
 }
 
+const sleep = (ms: number, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Wait for job aborted"));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Wait for job aborted"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
 /**
  * Wraps all workflow REST calls and enforces the server-side config constraints.
  */
-export class WorkflowClient {
-  constructor(
-    private readonly config: ServerConfig,
-    private readonly baseUrl: string
-  ) {}
+export class WorkflowClient extends OmniscopeClient {
+  protected readonly apiName = "Workflow API";
 
   private buildUrl(projectPath: string, suffix: string) {
     const base = this.baseUrl.replace(/\/+$/, "");
@@ -60,70 +157,23 @@ export class WorkflowClient {
     return `${base}${clean}${suffix}`;
   }
 
-  private createHeaders(): HeadersInit {
-    const { type, username, password } = this.config.auth;
-
-    if (type === "basic") {
-      return {
-        Authorization:
-          "Basic " +
-          Buffer.from(`${username}:${password}`, "utf8").toString("base64"),
-      };
-    }
-
-    return {};
-  }
-
-  private async request<T>(url: string, init: RequestInit = {}): Promise<T> {
-    const headers = new Headers(init.headers);
-    headers.set("Accept", "application/json");
-
-    const authHeaders = this.createHeaders();
-    Object.entries(authHeaders).forEach(([k, v]) => headers.set(k, v));
-
-    if (init.body && !headers.has("Content-Type")) {
-      headers.set("Content-Type", "application/json");
-    }
-
-    const controller = new AbortController();
-    const timeout = setTimeout(
-      () => controller.abort(),
-      this.config.requestTimeoutMs
-    );
-
-    try {
-      const response = await fetch(url, { ...init, headers, signal: controller.signal });
-
-      if (!response.ok) {
-        let msg = response.statusText;
-        try {
-          const json = await response.json();
-          msg = JSON.stringify(json);
-        } catch {}
-        throw new Error(`Workflow API error (${response.status}): ${msg}`);
-      }
-
-      if (response.status === 204) return {} as T;
-      return (await response.json()) as T;
-    } finally {
-      clearTimeout(timeout);
-    }
-  }
-
   // ---------- Endpoints ----------
 
   /**
-   * Triggers an in-place workflow run or returns a dry-run payload.
+   * Triggers an in-place workflow run or returns a dry-run payload with the
+   * request body that would be sent.
    */
   executeWorkflow(args: ExecuteWorkflowArgs) {
     const p = validateProjectPath(this.config, args.projectPath);
-    if (args.dryRun) return { dryRun: true, projectPath: p, baseUrl: this.baseUrl };
 
     const body: any = {};
     if (args.blocks) body.blocks = args.blocks;
     if (args.refreshFromSource !== undefined) body.refreshFromSource = args.refreshFromSource;
     if (args.cancelExisting !== undefined) body.cancelExisting = args.cancelExisting;
 
+    if (args.dryRun)
+      return { dryRun: true, projectPath: p, baseUrl: this.baseUrl, body };
+
     return this.request<{ jobId: string }>(
       this.buildUrl(p, "/w/execute"),
       { method: "POST", body: JSON.stringify(body) }
@@ -131,11 +181,11 @@ export class WorkflowClient {
   }
 
   /**
-   * Triggers a lambda workflow run or returns a dry-run payload.
+   * Triggers a lambda workflow run or returns a dry-run payload with the
+   * request body that would be sent.
    */
   lambdaExecuteWorkflow(args: LambdaExecuteWorkflowArgs) {
     const p = validateProjectPath(this.config, args.projectPath);
-    if (args.dryRun) return { dryRun: true, projectPath: p, baseUrl: this.baseUrl };
 
     const body: any = {};
     if (args.blocks) body.blocks = args.blocks;
@@ -143,14 +193,83 @@ export class WorkflowClient {
     if (args.cancelExisting !== undefined) body.cancelExisting = args.cancelExisting;
     if (args.deleteExecutionOnFinish !== undefined)
       body.deleteExecutionOnFinish = args.deleteExecutionOnFinish;
-    if (args.params) body.params = args.params;
+    // Same shape as /w/updateparams; waitForIdle applies the updates before the run
+    if (args.params)
+      body.params = {
+        updates: Object.entries(args.params).map(([name, value]) => ({
+          name,
+          value,
+        })),
+        waitForIdle: true,
+      };
+
+    if (args.dryRun)
+      return { dryRun: true, projectPath: p, baseUrl: this.baseUrl, body };
 
     return this.request<{ jobId: string; lambdaProjectPath: string }>(
-      this.buildUrl(p, "/w/lambda/execute"),
+      this.buildUrl(p, "/w/lambdaexecute"),
       { method: "POST", body: JSON.stringify(body) }
     );
   }
 
+  /**
+   * Uploads a file into a FILE parameter and triggers a lambda run, or returns
+   * a dry-run payload. Enforces the configured upload size and content-type limits.
+   */
+  uploadAndExecute(args: UploadAndExecuteArgs) {
+    const p = validateProjectPath(this.config, args.projectPath);
+
+    const data =
+      args.encoding === "base64"
+        ? Buffer.from(args.content, "base64")
+        : Buffer.from(args.content, "utf8");
+
+    if (data.length > this.config.uploadMaxBytes) {
+      throw new Error(
+        `File "${args.fileName}" is ${data.length} bytes, which exceeds the upload limit of ${this.config.uploadMaxBytes} bytes`,
+      );
+    }
+
+    const contentType = args.contentType ?? contentTypeForFile(args.fileName);
+    if (!isContentTypeAllowed(contentType, this.config.uploadAllowedContentTypes)) {
+      throw new Error(
+        `Content type "${contentType}" is not allowed. Must be one of: ${this.config.uploadAllowedContentTypes.join(
+          ", ",
+        )}`,
+      );
+    }
+
+    const execution: any = {
+      blocks: args.blocks ?? [], // empty array = all blocks
+      params: {
+        updates: [{ name: args.parameterName, formDataKey: UPLOAD_FORM_DATA_KEY }],
+      },
+    };
+    if (args.deleteExecutionOnFinish !== undefined)
+      execution.deleteExecutionOnFinish = args.deleteExecutionOnFinish;
+
+    if (args.dryRun)
+      return {
+        dryRun: true,
+        projectPath: p,
+        execution,
+        file: { name: args.fileName, contentType, size: data.length },
+      };
+
+    const form = new FormData();
+    form.append("execution", JSON.stringify(execution));
+    form.append(
+      UPLOAD_FORM_DATA_KEY,
+      new Blob([data], { type: contentType }),
+      args.fileName,
+    );
+
+    return this.request<{ jobId: string }>(
+      this.buildUrl(p, "/w/uploadandexecute"),
+      { method: "POST", body: form }
+    );
+  }
+
   /**
    * Polls job state for a workflow execution.
    */
@@ -161,6 +280,60 @@ export class WorkflowClient {
     );
   }
 
+  /**
+   * Polls job state until the job reaches a terminal state (or Omniscope no
+   * longer knows the job), or until `timeoutMs` elapses. Never throws: a
+   * failed poll ends the wait with a summary holding `pollError`, so the
+   * caller keeps the jobId of a job that may still be running.
+   */
+  async waitForJob(
+    projectPath: string,
+    jobId: string,
+    options: WaitForJobOptions
+  ): Promise<JobSummary> {
+    const started = Date.now();
+    let polls = 0;
+    let last: JobStateResponse | undefined;
+
+    const summarize = (
+      finished: boolean,
+      timedOut: boolean,
+      pollError?: string
+    ): JobSummary => ({
+      projectPath,
+      jobId,
+      jobState: last?.jobState ?? "UNKNOWN",
+      finished,
+      timedOut,
+      durationMs: Date.now() - started,
+      polls,
+      errorType: last?.errorType,
+      errorMessage: last?.errorMessage,
+      pollError,
+    });
+
+    try {
+      while (true) {
+        last = await this.getJobState(projectPath, jobId);
+        polls++;
+
+        const elapsedMs = Date.now() - started;
+        await options.onPoll?.(last, elapsedMs);
+
+        const finished =
+          TERMINAL_JOB_STATES.includes(last.jobState) ||
+          last.errorType === "JOB_NOT_FOUND";
+        const timedOut = !finished && elapsedMs + options.pollIntervalMs > options.timeoutMs;
+
+        if (finished || timedOut) return summarize(finished, timedOut);
+
+        await sleep(options.pollIntervalMs, options.signal);
+      }
+    } catch (err) {
+      return summarize(false, false, (err as Error).message);
+    }
+  }
+
   /**
    * Reads workflow parameters or a single parameter when `parameterName` is set.
    */
@@ -173,6 +346,18 @@ export class WorkflowClient {
     return this.request<Record<string, unknown>>(this.buildUrl(p, suffix));
   }
 
+  /**
+   * Reads the parameter definitions (name, type, current value, allowed
+   * values, required flag) used to validate updates and lambda params.
+   */
+  async getParameterDefinitions(projectPath: string) {
+    const p = validateProjectPath(this.config, projectPath);
+    const res = await this.request<{ paramValues?: ParameterDefinition[] }>(
+      this.buildUrl(p, "/w/param")
+    );
+    return res.paramValues ?? [];
+  }
+
   /**
    * Updates workflow parameters or previews the update when `dryRun` is true.
    */
@@ -183,7 +368,9 @@ export class WorkflowClient {
 
     return this.request<Record<string, unknown>>(
       this.buildUrl(p, "/w/updateparams"),
-      { method: "POST", body: JSON.stringify({ updates: args.updates }) }
+      { method: "POST", body: JSON.stringify({ updates: args.updates }) },
+      // Setting the same values again is harmless
+      { retrySafe: true }
     );
   }
 }
@@ -0,0 +1,141 @@
+/**
+ * workflow-prompts.ts
+ *
+ * This module registers reusable MCP **prompts** for common workflow tasks.
+ * Prompts only produce messages; the model then calls the workflow tools, so
+ * the permission policy and parameter validation still apply.
+ */
+
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
+import { z } from "zod";
+
+import { ServerConfig, resolveInstance } from "../../config.js";
+import { authorizeProject } from "../../policy.js";
+import { createToolLogger, getCaller, ToolExtra } from "../tool-helpers.js";
+import { createWorkflowClient } from "./workflow-client.js";
+import { projectParamsUri } from "./workflow-resources.js";
+
+const logPrompts = createToolLogger("[workflow-prompts]");
+
+/**
+ * Registers all workflow prompts on the given MCP server instance.
+ */
+export function registerWorkflowPrompts(
+  server: McpServer,
+  config: ServerConfig,
+) {
+  // Project path argument that completes from the listed resource projects
+  const projectPathArg = completable(
+    z
+      .string()
+      .describe('Path to the Omniscope project, e.g. "/mcptest/Sales.iox"'),
+    (value) => config.resourceProjects.filter((p) => p.startsWith(value)),
+  );
+
+  // Optional arguments can't complete, so the description points at list_instances
+  const instanceArg = z
+    .string()
+    .optional()
+    .describe(
+      "Optional: name of the Omniscope instance (see list_instances); defaults to the default instance",
+    );
+
+  // ---------------------------------------------------------------------------
+  // 1) Run a workflow with parameters and summarise the result
+  // ---------------------------------------------------------------------------
+  server.registerPrompt(
+    "run_workflow",
+    {
+      title: "Run workflow and summarise",
+      description:
+        "Run an Omniscope workflow as a lambda copy with the given parameters, wait for it and summarise the outcome.",
+      argsSchema: {
+        project_path: projectPathArg,
+        params: z
+          .string()
+          .optional()
+          .describe(
+            'Optional JSON object of parameter values, e.g. {"Region":"EU"}',
+          ),
+        goal: z
+          .string()
+          .optional()
+          .describe("Optional: what the run is for, used to focus the summary"),
+        instance: instanceArg,
+      },
+    },
+    ({ project_path, params, goal, instance }) => {
+      logPrompts("PROMPT: run_workflow", { project_path, params, goal, instance });
+
+      // Fail early on an unknown name instead of in every tool call
+      if (instance) resolveInstance(config, instance);
+
+      const steps = [
+        instance
+          ? `Run the Omniscope workflow "${project_path}" on the Omniscope instance "${instance}" and summarise the result. Pass instance: "${instance}" to every tool call.`
+          : `Run the Omniscope workflow "${project_path}" and summarise the result.`,
+        "",
+        `1. Read the project's parameters with workflow_get_parameters (or the resource ${projectParamsUri(project_path, instance)}).`,
+        params
+          ? `2. Run workflow_execute_and_wait with lambda: true and these params: ${params}. Fix any value the server rejects before retrying.`
+          : "2. Run workflow_execute_and_wait with lambda: true, keeping the current parameter values.",
+        "3. Summarise the run: final job state, duration, the parameter values used and, if it failed, the error and a likely cause.",
+      ];
+      if (goal) steps.push("", `The run is for: ${goal}`);
+
+      return {
+        messages: [
+          {
+            role: "user",
+            content: { type: "text", text: steps.join("\n") },
+          },
+        ],
+      };
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 2) Explain a project's parameters
+  // ---------------------------------------------------------------------------
+  server.registerPrompt(
+    "explain_parameters",
+    {
+      title: "Explain project parameters",
+      description:
+        "Attach a project's current parameters and ask for an explanation of each one and sensible values to try.",
+      argsSchema: { project_path: projectPathArg, instance: instanceArg },
+    },
+    async ({ project_path, instance }, extra: ToolExtra) => {
+      logPrompts("PROMPT: explain_parameters", { project_path, instance });
+
+      authorizeProject(config, getCaller(extra), project_path, "read", instance);
+
+      const client = createWorkflowClient(resolveInstance(config, instance));
+      const params = await client.getParameters({ projectPath: project_path });
+
+      return {
+        messages: [
+          {
+            role: "user",
+            content: {
+              type: "resource",
+              resource: {
+                uri: projectParamsUri(project_path, instance),
+                mimeType: "application/json",
+                text: JSON.stringify(params, null, 2),
+              },
+            },
+          },
+          {
+            role: "user",
+            content: {
+              type: "text",
+              text: `These are the parameters of the Omniscope project "${project_path}"${instance ? ` on instance "${instance}"` : ""}. Explain what each parameter likely controls, its type and current value, and suggest values worth trying with workflow_execute_and_wait.`,
+            },
+          },
+        ],
+      };
+    },
+  );
+}
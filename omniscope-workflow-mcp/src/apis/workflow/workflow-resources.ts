@@ -0,0 +1,277 @@
+/**
+ * workflow-resources.ts
+ *
+ * This module exposes workflow projects as MCP **resources** so clients can
+ * browse projects instead of typing exact `.iox` paths:
+ *   - `omniscope://project/{+path}/params` returns the project's parameters
+ *     (backed by WorkflowClient.getParameters) on the default instance, and
+ *     `omniscope://instance/{instance}/project/{+path}/params` on a named one,
+ *   - resources/list returns every project in OMNI_RESOURCE_PROJECTS (and
+ *     allowed prefixes that are .iox paths) the caller may read,
+ *   - subscribed resources are re-read every OMNI_RESOURCE_POLL_INTERVAL_MS
+ *     and a `notifications/resources/updated` is sent when they change.
+ */
+
+import {
+  McpServer,
+  ResourceTemplate,
+} from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+import { ServerConfig, resolveInstance } from "../../config.js";
+import { authorizeProject } from "../../policy.js";
+import { createToolLogger, getCaller, ToolExtra } from "../tool-helpers.js";
+import { createWorkflowClient } from "./workflow-client.js";
+
+const logResources = createToolLogger("[workflow-resources]");
+
+const PARAMS_URI_PREFIX = "omniscope://project/";
+const INSTANCE_URI_PREFIX = "omniscope://instance/";
+const PARAMS_URI_SUFFIX = "/params";
+
+/** A project on an Omniscope instance (the default one when omitted). */
+interface ProjectRef {
+  projectPath: string;
+  instance?: string;
+}
+
+/**
+ * Builds the params resource URI of a project, e.g.
+ * "/mcptest/Sales.iox" -> "omniscope://project/mcptest/Sales.iox/params", or
+ * "omniscope://instance/prod/project/mcptest/Sales.iox/params" on instance "prod".
+ */
+export const projectParamsUri = (projectPath: string, instance?: string) =>
+  `${instance ? `${INSTANCE_URI_PREFIX}${encodeURIComponent(instance)}/project/` : PARAMS_URI_PREFIX}${encodeURI(projectPath.replace(/^\/+/, ""))}${PARAMS_URI_SUFFIX}`;
+
+/**
+ * Extracts the project (and instance) from a params resource URI, or returns
+ * undefined for any other URI.
+ */
+function projectFromUri(uri: string): ProjectRef | undefined {
+  if (!uri.endsWith(PARAMS_URI_SUFFIX)) return undefined;
+  const rest = uri.slice(0, -PARAMS_URI_SUFFIX.length);
+
+  if (rest.startsWith(PARAMS_URI_PREFIX)) {
+    return { projectPath: `/${decodeURI(rest.slice(PARAMS_URI_PREFIX.length))}` };
+  }
+
+  const named = rest
+    .slice(INSTANCE_URI_PREFIX.length)
+    .match(/^([^/]+)\/project\/(.+)$/);
+  if (!rest.startsWith(INSTANCE_URI_PREFIX) || !named) return undefined;
+  return {
+    projectPath: `/${decodeURI(named[2])}`,
+    instance: decodeURIComponent(named[1]),
+  };
+}
+
+/** Returns true if the policy lets `user` read the project. */
+function canRead(config: ServerConfig, user: string, projectPath: string) {
+  try {
+    authorizeProject(config, user, projectPath, "read");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a project's parameters and renders them as resource contents.
+ */
+async function readParams(
+  config: ServerConfig,
+  uri: string,
+  { projectPath, instance }: ProjectRef,
+) {
+  const client = createWorkflowClient(resolveInstance(config, instance));
+  const params = await client.getParameters({ projectPath });
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: "application/json",
+        text: JSON.stringify(params, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Registers the workflow resources (and resource subscriptions) on the given
+ * MCP server instance.
+ */
+export function registerWorkflowResources(
+  server: McpServer,
+  config: ServerConfig,
+) {
+  // ---------------------------------------------------------------------------
+  // 1) Project parameters
+  // ---------------------------------------------------------------------------
+  const paramsTemplate = new ResourceTemplate(
+    `${PARAMS_URI_PREFIX}{+path}${PARAMS_URI_SUFFIX}`,
+    {
+      list: (extra: ToolExtra) => ({
+        resources: config.resourceProjects
+          .filter((p) => canRead(config, getCaller(extra), p))
+          .map((p) => ({
+            uri: projectParamsUri(p),
+            name: p,
+            title: `Parameters of ${p}`,
+            mimeType: "application/json",
+          })),
+      }),
+      complete: {
+        path: (value) =>
+          config.resourceProjects
+            .map((p) => p.replace(/^\/+/, ""))
+            .filter((p) => p.startsWith(value)),
+      },
+    },
+  );
+
+  /** Opens a project's params resource after checking the caller may read it. */
+  const openProject = (uri: string, extra: ToolExtra) => {
+    const project = projectFromUri(uri);
+    if (!project) throw new Error(`Unknown resource ${uri}`);
+
+    authorizeProject(
+      config,
+      getCaller(extra),
+      project.projectPath,
+      "read",
+      project.instance,
+    );
+    return project;
+  };
+
+  server.registerResource(
+    "project_params",
+    paramsTemplate,
+    {
+      title: "Project parameters",
+      description:
+        "Current parameter names, types and values of an Omniscope workflow project.",
+      mimeType: "application/json",
+    },
+    async (uri, _variables, extra) => {
+      logResources("RESOURCE READ: project_params", { uri: uri.href });
+
+      return readParams(config, uri.href, openProject(uri.href, extra));
+    },
+  );
+
+  // The same resource on a named instance (see list_instances); not listed
+  const instanceParamsTemplate = new ResourceTemplate(
+    `${INSTANCE_URI_PREFIX}{instance}/project/{+path}${PARAMS_URI_SUFFIX}`,
+    {
+      list: undefined,
+      complete: {
+        instance: (value) =>
+          Object.keys(config.instances).filter((name) => name.startsWith(value)),
+      },
+    },
+  );
+
+  server.registerResource(
+    "instance_project_params",
+    instanceParamsTemplate,
+    {
+      title: "Project parameters on an instance",
+      description:
+        "Current parameter names, types and values of an Omniscope workflow project on a named Omniscope instance.",
+      mimeType: "application/json",
+    },
+    async (uri, _variables, extra) => {
+      logResources("RESOURCE READ: instance_project_params", { uri: uri.href });
+
+      return readParams(config, uri.href, openProject(uri.href, extra));
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 2) Subscriptions: poll subscribed projects and notify on change
+  // ---------------------------------------------------------------------------
+  const subscriptions = new Map<string, { project: ProjectRef; lastText?: string }>();
+  let timer: NodeJS.Timeout | undefined;
+  let polling = false;
+
+  const poll = async () => {
+    // A slow Omniscope must not stack up overlapping polls
+    if (polling) return;
+    polling = true;
+    try {
+      await pollOnce();
+    } finally {
+      polling = false;
+    }
+  };
+
+  const pollOnce = async () => {
+    for (const [uri, sub] of subscriptions) {
+      try {
+        const text = (await readParams(config, uri, sub.project)).contents[0]
+          .text;
+        const changed = sub.lastText !== undefined && sub.lastText !== text;
+        sub.lastText = text;
+
+        if (changed && subscriptions.has(uri)) {
+          logResources("RESOURCE UPDATED", { uri });
+          await server.server.sendResourceUpdated({ uri });
+        }
+      } catch (err) {
+        logResources("RESOURCE POLL FAILED", {
+          uri,
+          error: err instanceof Error ? err.message : String(err),
+        });
+      }
+    }
+  };
+
+  const stopPolling = () => {
+    if (timer) clearInterval(timer);
+    timer = undefined;
+  };
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(
+    SubscribeRequestSchema,
+    async (request, extra) => {
+      const { uri } = request.params;
+      const project = openProject(uri, extra);
+
+      logResources("RESOURCE SUBSCRIBE", { uri });
+
+      // Remember the current contents so the first poll can detect changes
+      const initial = await readParams(config, uri, project);
+      subscriptions.set(uri, {
+        project,
+        lastText: initial.contents[0].text,
+      });
+
+      if (!timer) {
+        timer = setInterval(poll, config.resourcePollIntervalMs);
+        timer.unref();
+      }
+      return {};
+    },
+  );
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    logResources("RESOURCE UNSUBSCRIBE", { uri: request.params.uri });
+
+    subscriptions.delete(request.params.uri);
+    if (subscriptions.size === 0) stopPolling();
+    return {};
+  });
+
+  // Sessions end by closing the server; don't keep polling for them
+  server.server.onclose = () => {
+    subscriptions.clear();
+    stopPolling();
+  };
+}
@@ -8,49 +8,303 @@
  *   - delegates to the WorkflowClient (which calls Omniscope’s Workflow API),
  *   - wraps the JSON response into MCP-compatible tool output.
  *
- * Logging:
- *   - Uses console.log so logs appear in `docker compose logs -f mcp-server`.
- *   - Controlled by env var MCP_LOG_TOOLS:
- *       - unset or "true"  -> logging enabled (default)
- *       - "false"          -> logging disabled
+ * Logging is handled by the shared helpers in ../tool-helpers.ts
+ * (see MCP_LOG_TOOLS).
  */
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
 
-import { loadConfig } from "../../config.js";
+import { ServerConfig, resolveInstance } from "../../config.js";
+import {
+  approvals,
+  approvalUrl,
+  ApprovalTicket,
+  ApprovedRun,
+} from "../../approvals.js";
+import { redact } from "../../audit.js";
+import { Gauge } from "../../metrics.js";
+import {
+  ApprovalOperation,
+  authorizeProject,
+  isApprover,
+  normalizeProjectPath,
+  requiresApproval,
+} from "../../policy.js";
+import {
+  JobActiveCheck,
+  QuotaRejection,
+  QuotaTracker,
+} from "../../quotas.js";
+import {
+  createToolLogger,
+  getCaller,
+  instanceArg,
+  toJsonResult,
+  ToolExtra,
+} from "../tool-helpers.js";
+import {
+  assertValidParameters,
+  ParameterValidationError,
+  ParameterValue,
+  ValidateParametersOptions,
+} from "./parameter-validation.js";
 import {
   createWorkflowClient,
+  TERMINAL_JOB_STATES,
   ExecuteWorkflowArgs,
   LambdaExecuteWorkflowArgs,
   GetParametersArgs,
   UpdateParametersArgs,
+  UploadAndExecuteArgs,
+  WorkflowClient,
 } from "./workflow-client.js";
 
-const config = loadConfig();
+const logTools = createToolLogger("[workflow-tools]");
+
+/**
+ * Fetches the project's parameter definitions via `GET /w/param` and throws a
+ * ParameterValidationError when any value does not match them.
+ */
+async function validateParameters(
+  client: WorkflowClient,
+  projectPath: string,
+  values: ParameterValue[],
+  options?: ValidateParametersOptions,
+) {
+  const definitions = await client.getParameterDefinitions(projectPath);
+  assertValidParameters(projectPath, definitions, values, options);
+  return definitions;
+}
 
 /**
- * Simple logging helper for workflow tools.
- * Logs only when MCP_LOG_TOOLS is not set to "false".
+ * Tracks the jobs the workflow tools start against the quotas of one config
+ * (see MCP_QUOTAS_FILE).
  */
-const logTools = (message: string, data?: unknown) => {
-  if (process.env.MCP_LOG_TOOLS === "false") {
-    return;
+class JobTracker {
+  readonly quotas: QuotaTracker;
+
+  constructor(private readonly config: ServerConfig) {
+    this.quotas = new QuotaTracker(config.quotas);
+  }
+
+  /**
+   * Where a tool call's jobs run, as the quota tracker keys them: the resolved
+   * instance name and the normalized project path. A jobId asked about under
+   * another project (or the same one spelled differently) then can't free
+   * someone else's slot.
+   */
+  private scope(args: { project_path: string; instance?: string }) {
+    return {
+      projectPath: normalizeProjectPath(args.project_path),
+      instance: resolveInstance(this.config, args.instance).name,
+    };
   }
 
-  const timestamp = new Date().toISOString();
-  const prefix = "[workflow-tools]";
+  /** Asks Omniscope whether a job counted against a concurrency cap still runs. */
+  readonly isJobActive: JobActiveCheck = async (job) => {
+    try {
+      const state = await createWorkflowClient(
+        resolveInstance(this.config, job.instance),
+      ).getJobState(job.projectPath, job.jobId);
+      return !(
+        TERMINAL_JOB_STATES.includes(state.jobState) ||
+        state.errorType === "JOB_NOT_FOUND"
+      );
+    } catch {
+      // Keep counting the job while Omniscope can't tell us otherwise
+      return true;
+    }
+  };
+
+  /**
+   * Starts a job under the tool's quotas. Returns the rejection instead of
+   * calling `start` when the caller is over a limit; a returned jobId is
+   * tracked until the job is seen finishing. Dry runs are not limited.
+   */
+  async start<T>(
+    tool: string,
+    args: { project_path: string; instance?: string; dry_run?: boolean },
+    user: string,
+    start: () => T,
+  ): Promise<{ started: Awaited<T> } | { rejection: QuotaRejection }> {
+    if (args.dry_run) return { started: await start() };
 
-  if (data === undefined) {
-    console.log(`${prefix} [${timestamp}] ${message}`);
-  } else {
-    console.log(
-      `${prefix} [${timestamp}] ${message}\n` +
-        JSON.stringify(data, null, 2),
+    const acquired = await this.quotas.acquire(
+      { tool, user, ...this.scope(args) },
+      this.isJobActive,
     );
+    if ("rejection" in acquired) {
+      logTools(`QUOTA EXCEEDED: ${tool}`, acquired.rejection);
+      return acquired;
+    }
+
+    const { slot } = acquired;
+    try {
+      const started = await start();
+      const jobId = (started as { jobId?: unknown })?.jobId;
+      if (typeof jobId === "string" && jobId) slot.started(jobId);
+      else slot.release();
+      return { started };
+    } catch (err) {
+      slot.release();
+      throw err;
+    }
+  }
+
+  /**
+   * The ApprovedRun for a job-starting call: starts it under the tool's quotas
+   * and keeps the ticket approved while a quota refuses it.
+   */
+  approvedStart(
+    tool: string,
+    args: { project_path: string; instance?: string },
+    user: string,
+    start: () => unknown,
+  ): ApprovedRun {
+    return async () => {
+      const outcome = await this.start(tool, args, user, start);
+      return "rejection" in outcome
+        ? { result: outcome.rejection, retry: true }
+        : { result: outcome.started };
+    };
+  }
+
+  /** Stops counting a job once a tool has seen it finish. */
+  finished(args: { project_path: string; instance?: string }, jobId: string) {
+    this.quotas.jobFinished({ ...this.scope(args), jobId });
+  }
+}
+
+/**
+ * One tracker per config, shared by every session's server, so limits hold
+ * across all of a user's sessions.
+ */
+const trackers = new Map<ServerConfig, JobTracker>();
+
+const trackerFor = (config: ServerConfig) => {
+  let tracker = trackers.get(config);
+  if (!tracker) {
+    tracker = new JobTracker(config);
+    trackers.set(config, tracker);
+  }
+  return tracker;
+};
+
+/** How often tracked jobs are checked for having finished. */
+const JOB_REFRESH_INTERVAL_MS = 60 * 1000;
+
+let refreshing = false;
+setInterval(async () => {
+  // A slow Omniscope must not stack up overlapping refreshes
+  if (refreshing) return;
+  refreshing = true;
+  try {
+    for (const tracker of trackers.values()) {
+      await tracker.quotas.refreshAll(tracker.isJobActive);
+    }
+  } finally {
+    refreshing = false;
+  }
+}, JOB_REFRESH_INTERVAL_MS).unref();
+
+new Gauge(
+  "mcp_inflight_jobs",
+  "Jobs started by the workflow tools that have not been seen finishing, by tool.",
+  () =>
+    [...trackers.values()].flatMap((tracker) =>
+      [...tracker.quotas.runningByTool()].map(([tool, value]) => ({
+        labels: { tool },
+        value,
+      })),
+    ),
+);
+
+/** Tool error carrying the retry-after hint of a quota rejection. */
+const quotaExceededResult = (rejection: QuotaRejection) => ({
+  ...toJsonResult(rejection),
+  isError: true,
+});
+
+/**
+ * Opens an approval ticket instead of running the call when the policy wants
+ * `operation` on the project approved first (see approvals.ts). Returns the
+ * tool result for the caller, or undefined when the call may run right away.
+ * Throws when no approval page is served, since the ticket could never be
+ * decided.
+ * `preview` builds the dry-run payload shown to the approver and `run`
+ * performs the call once approved.
+ */
+async function requestApproval(
+  config: ServerConfig,
+  tool: string,
+  operation: ApprovalOperation,
+  args: { project_path: string; instance?: string; dry_run?: boolean },
+  extra: ToolExtra,
+  preview: () => unknown,
+  run: ApprovedRun,
+) {
+  if (
+    args.dry_run ||
+    !requiresApproval(config, args.project_path, operation, args.instance)
+  )
+    return undefined;
+
+  if (!approvals.decisionsEnabled) {
+    throw new Error(
+      `"${operation}" on "${args.project_path}" needs approval, but this server has no /approvals page to decide tickets on (stdio mode). Run the call through the HTTP server instead.`,
+    );
+  }
+
+  const ticket = approvals.create(
+    {
+      tool,
+      operation,
+      projectPath: args.project_path,
+      instance: args.instance,
+      requestedBy: getCaller(extra),
+      args: redact(args),
+      preview: await preview(),
+    },
+    run,
+  );
+
+  logTools(`APPROVAL REQUIRED: ${tool}`, { ticketId: ticket.id });
+
+  return toJsonResult({
+    status: "PENDING_APPROVAL",
+    ticketId: ticket.id,
+    approvalUrl: approvalUrl(ticket.id),
+    expiresAt: ticket.expiresAt,
+    message: `"${operation}" on "${args.project_path}" needs approval. Nothing has run yet. Ask an approver to review the ticket, then poll it with workflow_get_approval; the call runs once it is approved.`,
+    preview: ticket.preview,
+  });
+}
+
+/** What the agent should do next for a ticket in each state. */
+const approvalHint = (ticket: ApprovalTicket) => {
+  switch (ticket.status) {
+    case "PENDING":
+      return `Waiting for an approver at ${approvalUrl(ticket.id)}. Poll again later.`;
+    case "APPROVED":
+      return "Approved, but the call was refused for now (see result.retryAfterSeconds). Poll again after that.";
+    case "EXECUTED":
+      return `Approved by "${ticket.decidedBy}" and executed; result holds the outcome.`;
+    case "FAILED":
+      return `Approved by "${ticket.decidedBy}", but the call failed: ${ticket.error}`;
+    case "REJECTED":
+      return `Rejected by "${ticket.decidedBy}"${
+        ticket.comment ? `: ${ticket.comment}` : ""
+      }. Do not retry without changing the request.`;
+    case "EXPIRED":
+      return "Expired without being run. Call the tool again to open a new ticket.";
   }
 };
 
+/** Turns a lambda `params` map into the name/value list the validator expects. */
+const paramsToValues = (params: Record<string, unknown> = {}) =>
+  Object.entries(params).map(([name, value]) => ({ name, value }));
+
 // ---------- Schemas (tool-facing input validation) ----------
 
 /**
@@ -61,6 +315,7 @@ const logTools = (message: string, data?: unknown) => {
  * refresh_from_source Optional: if true, refresh data from source before execution
  * cancel_existing     Optional: if true, cancel any existing run for this project
  * dry_run             Optional: if true, do not actually execute; just return a preview
+ * instance            Optional: name of the Omniscope instance (see list_instances)
  */
 const executeSchema = z.object({
   project_path: z.string(),
@@ -68,6 +323,7 @@ const executeSchema = z.object({
   refresh_from_source: z.boolean().optional(),
   cancel_existing: z.boolean().optional(),
   dry_run: z.boolean().optional(),
+  instance: instanceArg,
 });
 
 /**
@@ -82,15 +338,61 @@ const lambdaSchema = executeSchema.extend({
   delete_execution_on_finish: z.boolean().optional(),
 });
 
+/**
+ * Input for executing a workflow and waiting for the job to finish.
+ *
+ * Inherits all of lambdaSchema plus:
+ * lambda           Optional: if true, run a lambda copy (params and
+ *                  delete_execution_on_finish only apply then)
+ * timeout_ms       Optional: how long to wait before returning a TIMEOUT summary
+ *                  (defaults to and is capped by OMNI_JOB_WAIT_TIMEOUT_MS)
+ * poll_interval_ms Optional: delay between job state polls
+ *                  (defaults to OMNI_JOB_POLL_INTERVAL_MS)
+ */
+const executeAndWaitSchema = lambdaSchema.extend({
+  lambda: z.boolean().optional(),
+  timeout_ms: z.number().int().positive().optional(),
+  poll_interval_ms: z.number().int().min(500).optional(),
+});
+
+/**
+ * Input for uploading a file into a FILE parameter and running a lambda copy.
+ *
+ * project_path               Path to the Omniscope project
+ * parameter_name             Name of the FILE parameter that receives the file
+ * file_name                  File name sent to Omniscope, e.g. "sales.csv"
+ * content                    File content, base64 encoded or plain text
+ * encoding                   "base64" (default) or "text"
+ * content_type               Optional: MIME type; inferred from file_name when omitted
+ * blocks                     Optional list of block IDs to execute
+ * delete_execution_on_finish Optional: if true, delete the lambda copy after it finishes
+ * dry_run                    Optional: if true, do not upload; just return a preview
+ * instance                   Optional: name of the Omniscope instance (see list_instances)
+ */
+const uploadAndExecuteSchema = z.object({
+  project_path: z.string(),
+  parameter_name: z.string(),
+  file_name: z.string().min(1),
+  content: z.string(),
+  encoding: z.enum(["base64", "text"]).optional(),
+  content_type: z.string().optional(),
+  blocks: z.array(z.string()).optional(),
+  delete_execution_on_finish: z.boolean().optional(),
+  dry_run: z.boolean().optional(),
+  instance: instanceArg,
+});
+
 /**
  * Input for retrieving job state.
  *
  * project_path Path to the project that owns the job
  * job_id       Identifier returned by execute/lambda execution
+ * instance     Optional: name of the Omniscope instance (see list_instances)
  */
 const jobStateSchema = z.object({
   project_path: z.string(),
   job_id: z.string(),
+  instance: instanceArg,
 });
 
 /**
@@ -98,10 +400,12 @@ const jobStateSchema = z.object({
  *
  * project_path   Path to the project
  * parameter_name Optional: if set, fetch only that parameter
+ * instance       Optional: name of the Omniscope instance (see list_instances)
  */
 const getParamsSchema = z.object({
   project_path: z.string(),
   parameter_name: z.string().optional(),
+  instance: instanceArg,
 });
 
 /**
@@ -110,6 +414,7 @@ const getParamsSchema = z.object({
  * project_path   Path to the project
  * updates        List of { name, value } pairs
  * dry_run        Optional: if true, do not persist updates; just preview
+ * instance       Optional: name of the Omniscope instance (see list_instances)
  */
 const updateParamsSchema = z.object({
   project_path: z.string(),
@@ -122,39 +427,36 @@ const updateParamsSchema = z.object({
     )
     .min(1),
   dry_run: z.boolean().optional(),
+  instance: instanceArg,
+});
+
+/**
+ * Input for polling an approval ticket.
+ *
+ * ticket_id Identifier returned by a call that needs approval
+ */
+const getApprovalSchema = z.object({
+  ticket_id: z.string(),
 });
 
 // Types inferred from schemas (tool-facing)
 type ExecuteToolInput = z.infer<typeof executeSchema>;
 type LambdaToolInput = z.infer<typeof lambdaSchema>;
+type ExecuteAndWaitToolInput = z.infer<typeof executeAndWaitSchema>;
+type UploadAndExecuteToolInput = z.infer<typeof uploadAndExecuteSchema>;
 type JobStateToolInput = z.infer<typeof jobStateSchema>;
 type GetParamsToolInput = z.infer<typeof getParamsSchema>;
 type UpdateParamsToolInput = z.infer<typeof updateParamsSchema>;
-
-// ---------- Helper to wrap results in MCP format ----------
-
-/**
- * Wraps arbitrary JSON or string payload into an MCP tool response.
- * The OpenAI model will see this as a "text" content block.
- */
-const toJsonResult = (payload: unknown): any => ({
-  content: [
-    {
-      type: "text" as const,
-      text:
-        typeof payload === "string"
-          ? payload
-          : JSON.stringify(payload, null, 2),
-    },
-  ],
-});
+type GetApprovalToolInput = z.infer<typeof getApprovalSchema>;
 
 // ---------- Registration: attach tools to the MCP server ----------
 
 /**
  * Registers all Workflow-related tools on the given MCP server instance.
  */
-export function registerWorkflowTools(server: McpServer) {
+export function registerWorkflowTools(server: McpServer, config: ServerConfig) {
+  const jobs = trackerFor(config);
+
   // ---------------------------------------------------------------------------
   // 1) Execute workflow
   // ---------------------------------------------------------------------------
@@ -166,10 +468,20 @@ export function registerWorkflowTools(server: McpServer) {
         "Execute an Omniscope workflow project and return the job identifier.",
       inputSchema: executeSchema.shape,
     },
-    async (args: ExecuteToolInput) => {
+    async (args: ExecuteToolInput, extra: ToolExtra) => {
       logTools("TOOL CALL: workflow_execute (raw args)", args);
 
-      const client = createWorkflowClient(config);
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.project_path,
+        "execute",
+        args.instance,
+      );
+
+      const client = createWorkflowClient(
+        resolveInstance(config, args.instance),
+      );
 
       // Map snake_case MCP input -> camelCase client args
       const execArgs: ExecuteWorkflowArgs = {
@@ -180,9 +492,30 @@ export function registerWorkflowTools(server: McpServer) {
         dryRun: args.dry_run,
       };
 
+      const user = getCaller(extra);
+      const pending = await requestApproval(
+        config,
+        "workflow_execute",
+        "execute",
+        args,
+        extra,
+        () => client.executeWorkflow({ ...execArgs, dryRun: true }),
+        jobs.approvedStart("workflow_execute", args, user, () =>
+          client.executeWorkflow(execArgs),
+        ),
+      );
+      if (pending) return pending;
+
       logTools("CLIENT CALL: executeWorkflow (normalized args)", execArgs);
 
-      const result = await client.executeWorkflow(execArgs);
+      const outcome = await jobs.start(
+        "workflow_execute",
+        args,
+        user,
+        () => client.executeWorkflow(execArgs),
+      );
+      if ("rejection" in outcome) return quotaExceededResult(outcome.rejection);
+      const result = outcome.started;
 
       logTools("CLIENT RESULT: executeWorkflow", result);
 
@@ -201,10 +534,20 @@ export function registerWorkflowTools(server: McpServer) {
         "Execute an Omniscope workflow as a lambda copy with optional parameters.",
       inputSchema: lambdaSchema.shape,
     },
-    async (args: LambdaToolInput) => {
+    async (args: LambdaToolInput, extra: ToolExtra) => {
       logTools("TOOL CALL: workflow_execute_lambda (raw args)", args);
 
-      const client = createWorkflowClient(config);
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.project_path,
+        "lambda",
+        args.instance,
+      );
+
+      const client = createWorkflowClient(
+        resolveInstance(config, args.instance),
+      );
 
       // Map snake_case MCP input -> camelCase client args
       const lambdaArgs: LambdaExecuteWorkflowArgs = {
@@ -217,12 +560,40 @@ export function registerWorkflowTools(server: McpServer) {
         deleteExecutionOnFinish: args.delete_execution_on_finish,
       };
 
+      await validateParameters(
+        client,
+        args.project_path,
+        paramsToValues(args.params),
+        { checkMissingRequired: true },
+      );
+
+      const user = getCaller(extra);
+      const pending = await requestApproval(
+        config,
+        "workflow_execute_lambda",
+        "lambda",
+        args,
+        extra,
+        () => client.lambdaExecuteWorkflow({ ...lambdaArgs, dryRun: true }),
+        jobs.approvedStart("workflow_execute_lambda", args, user, () =>
+          client.lambdaExecuteWorkflow(lambdaArgs),
+        ),
+      );
+      if (pending) return pending;
+
       logTools(
         "CLIENT CALL: lambdaExecuteWorkflow (normalized args)",
         lambdaArgs,
       );
 
-      const result = await client.lambdaExecuteWorkflow(lambdaArgs);
+      const outcome = await jobs.start(
+        "workflow_execute_lambda",
+        args,
+        user,
+        () => client.lambdaExecuteWorkflow(lambdaArgs),
+      );
+      if ("rejection" in outcome) return quotaExceededResult(outcome.rejection);
+      const result = outcome.started;
 
       logTools("CLIENT RESULT: lambdaExecuteWorkflow", result);
 
@@ -231,7 +602,247 @@ export function registerWorkflowTools(server: McpServer) {
   );
 
   // ---------------------------------------------------------------------------
-  // 3) Get job state
+  // 3) Execute workflow and wait for it to finish
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "workflow_execute_and_wait",
+    {
+      title: "Execute workflow and wait",
+      description:
+        "Execute an Omniscope workflow (optionally as a lambda copy), wait on the server until the job is COMPLETED, FAILED or CANCELLED or the timeout elapses, and return a final summary with state, duration and error details.",
+      inputSchema: executeAndWaitSchema.shape,
+    },
+    async (
+      args: ExecuteAndWaitToolInput,
+      extra: ToolExtra,
+    ) => {
+      logTools("TOOL CALL: workflow_execute_and_wait (raw args)", args);
+
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.project_path,
+        args.lambda ? "lambda" : "execute",
+        args.instance,
+      );
+
+      const client = createWorkflowClient(
+        resolveInstance(config, args.instance),
+      );
+
+      // Map snake_case MCP input -> camelCase client args
+      const lambdaArgs: LambdaExecuteWorkflowArgs = {
+        projectPath: args.project_path,
+        blocks: args.blocks,
+        refreshFromSource: args.refresh_from_source,
+        cancelExisting: args.cancel_existing,
+        dryRun: args.dry_run,
+      };
+      if (args.lambda) {
+        lambdaArgs.params = args.params;
+        lambdaArgs.deleteExecutionOnFinish = args.delete_execution_on_finish;
+
+        await validateParameters(
+          client,
+          args.project_path,
+          paramsToValues(args.params),
+          { checkMissingRequired: true },
+        );
+      }
+
+      const timeoutMs = Math.min(
+        args.timeout_ms ?? config.jobWaitTimeoutMs,
+        config.jobWaitTimeoutMs,
+      );
+      const pollIntervalMs = args.poll_interval_ms ?? config.jobPollIntervalMs;
+
+      logTools("CLIENT CALL: execute + waitForJob (normalized args)", {
+        lambda: !!args.lambda,
+        ...lambdaArgs,
+        timeoutMs,
+        pollIntervalMs,
+      });
+
+      const start = () =>
+        args.lambda
+          ? client.lambdaExecuteWorkflow(lambdaArgs)
+          : client.executeWorkflow(lambdaArgs);
+
+      // An approved run is only started; poll it with workflow_get_job_state
+      const user = getCaller(extra);
+      const pending = await requestApproval(
+        config,
+        "workflow_execute_and_wait",
+        args.lambda ? "lambda" : "execute",
+        args,
+        extra,
+        () =>
+          args.lambda
+            ? client.lambdaExecuteWorkflow({ ...lambdaArgs, dryRun: true })
+            : client.executeWorkflow({ ...lambdaArgs, dryRun: true }),
+        jobs.approvedStart("workflow_execute_and_wait", args, user, start),
+      );
+      if (pending) return pending;
+
+      const outcome = await jobs.start(
+        "workflow_execute_and_wait",
+        args,
+        user,
+        start,
+      );
+      if ("rejection" in outcome) return quotaExceededResult(outcome.rejection);
+      const { started } = outcome;
+
+      if (!("jobId" in started) || !started.jobId) {
+        // Dry run, or Omniscope refused to start the job
+        logTools("CLIENT RESULT: execute (no job started)", started);
+        return toJsonResult(started);
+      }
+
+      // Progress notifications are only sent when the client asked for them
+      const progressToken = extra._meta?.progressToken;
+      let lastState: string | undefined;
+
+      const summary = await client.waitForJob(args.project_path, started.jobId, {
+        timeoutMs,
+        pollIntervalMs,
+        signal: extra.signal,
+        onPoll: async (state, elapsedMs) => {
+          if (state.jobState !== lastState) {
+            logTools(`JOB ${started.jobId} state: ${state.jobState}`);
+            lastState = state.jobState;
+          }
+          if (progressToken === undefined) return;
+
+          await extra.sendNotification({
+            method: "notifications/progress",
+            params: {
+              progressToken,
+              progress: elapsedMs,
+              total: timeoutMs,
+              message: `Job ${started.jobId} is ${state.jobState} after ${Math.round(
+                elapsedMs / 1000,
+              )}s`,
+            },
+          });
+        },
+      });
+
+      if (summary.finished) jobs.finished(args, started.jobId);
+
+      const result = {
+        ...summary,
+        lambda: !!args.lambda,
+        ...("lambdaProjectPath" in started
+          ? { lambdaProjectPath: started.lambdaProjectPath }
+          : {}),
+      };
+
+      logTools("CLIENT RESULT: waitForJob", result);
+
+      return toJsonResult(result);
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 4) Upload file and execute
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "workflow_upload_and_execute",
+    {
+      title: "Upload file and execute workflow",
+      description:
+        `Upload a file into a FILE parameter of an Omniscope workflow and execute it as a lambda copy. Content is base64 (default) or plain text, up to ${config.uploadMaxBytes} bytes.`,
+      inputSchema: uploadAndExecuteSchema.shape,
+    },
+    async (args: UploadAndExecuteToolInput, extra: ToolExtra) => {
+      // Never log the file content itself
+      const { content, ...loggable } = args;
+      logTools("TOOL CALL: workflow_upload_and_execute (raw args)", {
+        ...loggable,
+        contentLength: content.length,
+      });
+
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.project_path,
+        "upload",
+        args.instance,
+      );
+
+      const client = createWorkflowClient(
+        resolveInstance(config, args.instance),
+      );
+
+      // Map snake_case MCP input -> camelCase client args
+      const uploadArgs: UploadAndExecuteArgs = {
+        projectPath: args.project_path,
+        parameterName: args.parameter_name,
+        fileName: args.file_name,
+        content: args.content,
+        encoding: args.encoding ?? "base64",
+        contentType: args.content_type,
+        blocks: args.blocks,
+        deleteExecutionOnFinish: args.delete_execution_on_finish,
+        dryRun: args.dry_run,
+      };
+
+      // The upload must target an existing FILE parameter
+      const definitions = await client.getParameterDefinitions(
+        args.project_path,
+      );
+      const fileParam = definitions.find((d) => d.name === args.parameter_name);
+      if (fileParam && fileParam.type !== "FILE") {
+        throw new ParameterValidationError(args.project_path, [
+          {
+            name: args.parameter_name,
+            message: `expected a FILE parameter, got ${fileParam.type}`,
+          },
+        ]);
+      }
+      assertValidParameters(args.project_path, definitions, [
+        { name: args.parameter_name, value: args.file_name },
+      ]);
+
+      // The ticket shows the approver the file's size, not its content
+      const ticketArgs = { ...loggable, contentLength: content.length };
+      const user = getCaller(extra);
+      const pending = await requestApproval(
+        config,
+        "workflow_upload_and_execute",
+        "upload",
+        ticketArgs,
+        extra,
+        () => client.uploadAndExecute({ ...uploadArgs, dryRun: true }),
+        jobs.approvedStart("workflow_upload_and_execute", args, user, () =>
+          client.uploadAndExecute(uploadArgs),
+        ),
+      );
+      if (pending) return pending;
+
+      logTools("CLIENT CALL: uploadAndExecute (normalized args)", {
+        ...uploadArgs,
+        content: undefined,
+      });
+
+      const outcome = await jobs.start(
+        "workflow_upload_and_execute",
+        args,
+        user,
+        () => client.uploadAndExecute(uploadArgs),
+      );
+      if ("rejection" in outcome) return quotaExceededResult(outcome.rejection);
+      const result = outcome.started;
+
+      logTools("CLIENT RESULT: uploadAndExecute", result);
+
+      return toJsonResult(result);
+    },
+  );
+
+  // ---------------------------------------------------------------------------
+  // 5) Get job state
   // ---------------------------------------------------------------------------
   server.registerTool(
     "workflow_get_job_state",
@@ -240,22 +851,39 @@ export function registerWorkflowTools(server: McpServer) {
       description: "Retrieve the state of a workflow job using its identifier.",
       inputSchema: jobStateSchema.shape,
     },
-    async (args: JobStateToolInput) => {
+    async (args: JobStateToolInput, extra: ToolExtra) => {
       logTools("TOOL CALL: workflow_get_job_state (raw args)", args);
 
-      const client = createWorkflowClient(config);
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.project_path,
+        "read",
+        args.instance,
+      );
+
+      const client = createWorkflowClient(
+        resolveInstance(config, args.instance),
+      );
 
       // Map snake_case MCP input -> camelCase client args
       const result = await client.getJobState(args.project_path, args.job_id);
 
       logTools("CLIENT RESULT: getJobState", result);
 
+      if (
+        TERMINAL_JOB_STATES.includes(result.jobState) ||
+        result.errorType === "JOB_NOT_FOUND"
+      ) {
+        jobs.finished(args, args.job_id);
+      }
+
       return toJsonResult(result);
     },
   );
 
   // ---------------------------------------------------------------------------
-  // 4) Get parameters
+  // 6) Get parameters
   // ---------------------------------------------------------------------------
   server.registerTool(
     "workflow_get_parameters",
@@ -264,10 +892,20 @@ export function registerWorkflowTools(server: McpServer) {
       description: "Fetch project parameters from an Omniscope workflow project.",
       inputSchema: getParamsSchema.shape,
     },
-    async (args: GetParamsToolInput) => {
+    async (args: GetParamsToolInput, extra: ToolExtra) => {
       logTools("TOOL CALL: workflow_get_parameters (raw args)", args);
 
-      const client = createWorkflowClient(config);
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.project_path,
+        "read",
+        args.instance,
+      );
+
+      const client = createWorkflowClient(
+        resolveInstance(config, args.instance),
+      );
 
       // Map snake_case MCP input -> camelCase client args
       const getArgs: GetParametersArgs = {
@@ -286,7 +924,7 @@ export function registerWorkflowTools(server: McpServer) {
   );
 
   // ---------------------------------------------------------------------------
-  // 5) Update parameters
+  // 7) Update parameters
   // ---------------------------------------------------------------------------
   server.registerTool(
     "workflow_update_parameters",
@@ -295,10 +933,20 @@ export function registerWorkflowTools(server: McpServer) {
       description: "Update project parameters in an Omniscope workflow project.",
       inputSchema: updateParamsSchema.shape,
     },
-    async (args: UpdateParamsToolInput) => {
+    async (args: UpdateParamsToolInput, extra: ToolExtra) => {
       logTools("TOOL CALL: workflow_update_parameters (raw args)", args);
 
-      const client = createWorkflowClient(config);
+      authorizeProject(
+        config,
+        getCaller(extra),
+        args.project_path,
+        "update_params",
+        args.instance,
+      );
+
+      const client = createWorkflowClient(
+        resolveInstance(config, args.instance),
+      );
 
       // Map snake_case MCP input -> camelCase client args
       const updateArgs: UpdateParametersArgs = {
@@ -310,6 +958,19 @@ export function registerWorkflowTools(server: McpServer) {
         })),
       };
 
+      await validateParameters(client, args.project_path, updateArgs.updates);
+
+      const pending = await requestApproval(
+        config,
+        "workflow_update_parameters",
+        "update_params",
+        args,
+        extra,
+        () => client.updateParameters({ ...updateArgs, dryRun: true }),
+        async () => ({ result: await client.updateParameters(updateArgs) }),
+      );
+      if (pending) return pending;
+
       logTools("CLIENT CALL: updateParameters (normalized args)", updateArgs);
 
       const result = await client.updateParameters(updateArgs);
@@ -319,4 +980,45 @@ export function registerWorkflowTools(server: McpServer) {
       return toJsonResult(result);
     },
   );
+
+  // ---------------------------------------------------------------------------
+  // 8) Get approval
+  // ---------------------------------------------------------------------------
+  server.registerTool(
+    "workflow_get_approval",
+    {
+      title: "Get approval",
+      description:
+        "Poll an approval ticket returned as PENDING_APPROVAL. Once an approver accepts it, the first poll runs the call and returns its result; later polls return the same result.",
+      inputSchema: getApprovalSchema.shape,
+    },
+    async (args: GetApprovalToolInput, extra: ToolExtra) => {
+      logTools("TOOL CALL: workflow_get_approval (raw args)", args);
+
+      const user = getCaller(extra);
+      const ticket = approvals.get(args.ticket_id);
+      if (!ticket) {
+        throw new Error(`Unknown approval ticket "${args.ticket_id}"`);
+      }
+      if (ticket.requestedBy !== user && !isApprover(config, user)) {
+        throw new Error(
+          `Permission denied: ticket "${args.ticket_id}" was opened by another user`,
+        );
+      }
+
+      const current = (await approvals.execute(args.ticket_id)) ?? ticket;
+
+      logTools("CLIENT RESULT: workflow_get_approval", {
+        ticketId: current.id,
+        status: current.status,
+      });
+
+      return toJsonResult({
+        ...current,
+        approvalUrl: approvalUrl(current.id),
+        message: approvalHint(current),
+        retryAfterSeconds: current.status === "PENDING" ? 30 : undefined,
+      });
+    },
+  );
 }
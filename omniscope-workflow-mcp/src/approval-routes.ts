@@ -0,0 +1,196 @@
+/**
+ * The /approvals page where approvers accept or reject approval tickets.
+ *
+ *   GET  /approvals                               HTML page (?ticket=<id> highlights one)
+ *   GET  /approvals/api/tickets[?status=PENDING]  Tickets, newest first
+ *   POST /approvals/api/tickets/:id/approve       Body: { "comment"?: string }
+ *   POST /approvals/api/tickets/:id/reject        Body: { "comment"?: string }
+ *
+ * The routes sit behind the same auth as /mcp. Only users listed under
+ * "approvers" in the policy file may decide tickets; everyone else only sees
+ * the tickets they opened. Decisions must be posted as JSON so a plain
+ * cross-site form can't submit them with the browser's stored credentials.
+ */
+import express from "express";
+import type { Request, Response } from "express";
+import { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+
+import { ApprovalError, approvals, ApprovalStatus } from "./approvals.js";
+import { ServerConfig } from "./config.js";
+import { ANONYMOUS_USER, isApprover } from "./policy.js";
+
+const STATUSES: ApprovalStatus[] = [
+  "PENDING",
+  "APPROVED",
+  "REJECTED",
+  "EXPIRED",
+  "EXECUTED",
+  "FAILED",
+];
+
+const callerOf = (req: Request) =>
+  (req as Request & { auth?: AuthInfo }).auth?.clientId ?? ANONYMOUS_USER;
+
+/**
+ * Builds the router serving the approval page and its JSON API.
+ */
+export function createApprovalRouter(config: ServerConfig) {
+  const router = express.Router();
+  approvals.decisionsEnabled = true;
+
+  router.get("/approvals", (_req, res) => {
+    res
+      .set(
+        "Content-Security-Policy",
+        "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'",
+      )
+      .type("html")
+      .send(APPROVAL_PAGE);
+  });
+
+  router.get("/approvals/api/tickets", (req, res) => {
+    const user = callerOf(req);
+    const status = String(req.query.status ?? "").toUpperCase();
+    if (status && !STATUSES.includes(status as ApprovalStatus)) {
+      return res.status(400).json({ error: `Unknown status "${status}"` });
+    }
+
+    const approver = isApprover(config, user);
+    const tickets = approvals
+      .list((status || undefined) as ApprovalStatus | undefined)
+      .filter((t) => approver || t.requestedBy === user);
+
+    res.json({ user, approver, tickets });
+  });
+
+  const decide = (approve: boolean) => (req: Request, res: Response) => {
+    const user = callerOf(req);
+    if (!req.is("application/json")) {
+      return res
+        .status(415)
+        .json({ error: "Send the decision as application/json" });
+    }
+    if (!isApprover(config, user)) {
+      return res
+        .status(403)
+        .json({ error: `"${user}" is not allowed to decide approvals` });
+    }
+
+    const comment = (req.body as { comment?: unknown })?.comment;
+    if (comment !== undefined && typeof comment !== "string") {
+      return res.status(400).json({ error: '"comment" must be a string' });
+    }
+
+    try {
+      res.json(approvals.decide(req.params.id, user, approve, comment));
+    } catch (err) {
+      if (!(err instanceof ApprovalError)) throw err;
+      res.status(err.status).json({ error: err.message });
+    }
+  };
+
+  router.post("/approvals/api/tickets/:id/approve", decide(true));
+  router.post("/approvals/api/tickets/:id/reject", decide(false));
+
+  return router;
+}
+
+// Ticket fields are rendered with textContent only; they hold tool arguments.
+const APPROVAL_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Omniscope MCP approvals</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; max-width: 60rem; }
+  .ticket { border: 1px solid #ccc; border-radius: 6px; padding: 1rem; margin: 1rem 0; }
+  .ticket.highlight { border-color: #1565c0; box-shadow: 0 0 0 2px #90caf9; }
+  .status { font-weight: bold; }
+  pre { background: #f5f5f5; padding: .5rem; overflow: auto; max-height: 20rem; }
+  input[type=text] { width: 60%; }
+  #error { color: #b71c1c; }
+</style>
+</head>
+<body>
+<h1>Approvals</h1>
+<p id="who"></p>
+<label>Show
+  <select id="filter">
+    <option value="PENDING">Pending</option>
+    <option value="">All</option>
+  </select>
+</label>
+<p id="error"></p>
+<div id="tickets"></div>
+<script>
+const highlight = new URLSearchParams(location.search).get("ticket");
+const filter = document.getElementById("filter");
+if (highlight) filter.value = "";
+
+function el(tag, text, className) {
+  const node = document.createElement(tag);
+  if (text !== undefined) node.textContent = text;
+  if (className) node.className = className;
+  return node;
+}
+
+async function decide(id, action, comment) {
+  const res = await fetch("approvals/api/tickets/" + encodeURIComponent(id) + "/" + action, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ comment: comment || undefined }),
+  });
+  if (!res.ok) {
+    document.getElementById("error").textContent = (await res.json()).error;
+  }
+  await load();
+}
+
+function render(ticket, approver) {
+  const box = el("div", undefined, "ticket" + (ticket.id === highlight ? " highlight" : ""));
+  box.id = ticket.id;
+  box.append(
+    el("div", ticket.status, "status"),
+    el("div", ticket.tool + " on " + ticket.projectPath + (ticket.instance ? " (" + ticket.instance + ")" : "")),
+    el("div", "Requested by " + ticket.requestedBy + " at " + ticket.createdAt + ", expires " + ticket.expiresAt),
+  );
+  if (ticket.decidedBy) {
+    box.append(el("div", "Decided by " + ticket.decidedBy + " at " + ticket.decidedAt + (ticket.comment ? ": " + ticket.comment : "")));
+  }
+  if (ticket.error) box.append(el("div", "Error: " + ticket.error));
+  box.append(el("h4", "Arguments"), el("pre", JSON.stringify(ticket.args, null, 2)));
+  box.append(el("h4", "Preview (dry run)"), el("pre", JSON.stringify(ticket.preview, null, 2)));
+
+  if (approver && ticket.status === "PENDING") {
+    const comment = el("input");
+    comment.type = "text";
+    comment.placeholder = "Comment (optional)";
+    const approve = el("button", "Approve");
+    const reject = el("button", "Reject");
+    approve.onclick = () => decide(ticket.id, "approve", comment.value);
+    reject.onclick = () => decide(ticket.id, "reject", comment.value);
+    box.append(comment, " ", approve, " ", reject);
+  }
+  return box;
+}
+
+async function load() {
+  const res = await fetch("approvals/api/tickets" + (filter.value ? "?status=" + filter.value : ""));
+  if (!res.ok) {
+    document.getElementById("error").textContent = "Failed to load tickets (HTTP " + res.status + ")";
+    return;
+  }
+  const data = await res.json();
+  document.getElementById("who").textContent =
+    "Signed in as " + data.user + (data.approver ? " (approver)" : " (not an approver; showing your own tickets)");
+  const list = document.getElementById("tickets");
+  list.replaceChildren(...data.tickets.map((t) => render(t, data.approver)));
+  if (!data.tickets.length) list.append(el("p", "No tickets."));
+}
+
+filter.onchange = () => load();
+load();
+</script>
+</body>
+</html>
+`;
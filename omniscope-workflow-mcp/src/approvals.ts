@@ -0,0 +1,252 @@
+/**
+ * Approval tickets for tool calls that must wait for a human.
+ *
+ * When the permission policy lists a project prefix under "approvals", the
+ * matching workflow tools don't call Omniscope. Instead they open a ticket
+ * holding the dry-run preview of the call. An approver accepts or rejects it
+ * on the /approvals page (approval-routes.ts), and the agent polls it with
+ * `workflow_get_approval`. The first poll after approval runs the stored
+ * call exactly once and keeps its result on the ticket.
+ *
+ * Tickets live in memory and are lost on restart. Only the HTTP server serves
+ * the /approvals page; without it (stdio mode) gated calls fail right away
+ * instead of opening tickets nobody can decide.
+ *
+ * Settings (env):
+ *   MCP_APPROVAL_TTL_MS  How long a ticket may wait for a decision, and an
+ *                        approved ticket for its poll (default 24 h)
+ *   MCP_PUBLIC_URL       Public base URL of this server, used to build the
+ *                        approval link returned to the agent (optional)
+ */
+import { randomUUID } from "node:crypto";
+
+import { envNumber } from "./config.js";
+import type { ApprovalOperation } from "./policy.js";
+
+export type ApprovalStatus =
+  | "PENDING"
+  | "APPROVED"
+  | "REJECTED"
+  | "EXPIRED"
+  | "EXECUTED"
+  | "FAILED";
+
+export interface ApprovalTicket {
+  id: string;
+  status: ApprovalStatus;
+  tool: string;
+  operation: ApprovalOperation;
+  projectPath: string;
+  instance?: string;
+  /** MCP user whose tool call opened the ticket. */
+  requestedBy: string;
+  /** Redacted tool arguments, for the approver. */
+  args: unknown;
+  /** Dry-run payload of the call that runs once approved. */
+  preview: unknown;
+  createdAt: string;
+  expiresAt: string;
+  decidedBy?: string;
+  decidedAt?: string;
+  comment?: string;
+  executedAt?: string;
+  /** Tool result of the approved call. */
+  result?: unknown;
+  error?: string;
+}
+
+/**
+ * Outcome of running an approved call. `retry` keeps the ticket approved so
+ * a later poll runs it again, e.g. when a quota refused it for now.
+ */
+export interface ApprovedRunOutcome {
+  result: unknown;
+  retry?: boolean;
+}
+
+export type ApprovedRun = () => Promise<ApprovedRunOutcome>;
+
+/**
+ * Raised for ticket operations that are not allowed in the ticket's state.
+ */
+export class ApprovalError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+  ) {
+    super(message);
+    this.name = "ApprovalError";
+  }
+}
+
+interface Entry {
+  ticket: ApprovalTicket;
+  run: ApprovedRun;
+  /** Set while the approved call runs, so parallel polls don't repeat it. */
+  running?: Promise<ApprovalTicket>;
+}
+
+/** Finished tickets are kept this much longer than their TTL. */
+const RETENTION_FACTOR = 2;
+
+/**
+ * In-memory ticket store shared by every session and the approval page.
+ */
+export class ApprovalStore {
+  private readonly entries = new Map<string, Entry>();
+
+  /** Set by createApprovalRouter once the /approvals page is served. */
+  decisionsEnabled = false;
+
+  constructor(readonly ttlMs: number) {}
+
+  /** Opens a PENDING ticket for a call that runs via `run` once approved. */
+  create(
+    fields: Omit<ApprovalTicket, "id" | "status" | "createdAt" | "expiresAt">,
+    run: ApprovedRun,
+  ): ApprovalTicket {
+    this.prune();
+
+    const now = Date.now();
+    const ticket: ApprovalTicket = {
+      id: randomUUID(),
+      status: "PENDING",
+      ...fields,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+    };
+    this.entries.set(ticket.id, { ticket, run });
+
+    console.log(
+      `[APPROVALS] Ticket ${ticket.id} opened by "${ticket.requestedBy}": ${ticket.tool} on ${ticket.projectPath}`,
+    );
+    return { ...ticket };
+  }
+
+  /** Returns a copy of the ticket, or undefined for unknown ids. */
+  get(id: string): ApprovalTicket | undefined {
+    const entry = this.entries.get(id);
+    if (!entry) return undefined;
+    this.expire(entry);
+    return { ...entry.ticket };
+  }
+
+  /** Tickets newest first, optionally only those in `status`. */
+  list(status?: ApprovalStatus): ApprovalTicket[] {
+    return [...this.entries.values()]
+      .map((e) => {
+        this.expire(e);
+        return { ...e.ticket };
+      })
+      .filter((t) => !status || t.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Approves or rejects a pending ticket. Nobody may approve their own
+   * request; rejecting it is fine.
+   */
+  decide(
+    id: string,
+    approver: string,
+    approve: boolean,
+    comment?: string,
+  ): ApprovalTicket {
+    const entry = this.entries.get(id);
+    if (!entry) throw new ApprovalError(`Unknown approval ticket "${id}"`, 404);
+
+    this.expire(entry);
+    const { ticket } = entry;
+    if (ticket.status !== "PENDING") {
+      throw new ApprovalError(
+        `Ticket "${id}" is ${ticket.status} and can no longer be decided`,
+        409,
+      );
+    }
+    if (approve && approver === ticket.requestedBy) {
+      throw new ApprovalError(
+        `"${approver}" opened ticket "${id}" and can't approve it; another approver must`,
+        403,
+      );
+    }
+
+    ticket.status = approve ? "APPROVED" : "REJECTED";
+    ticket.decidedBy = approver;
+    ticket.decidedAt = new Date().toISOString();
+    ticket.comment = comment || undefined;
+
+    console.log(
+      `[APPROVALS] Ticket ${id} ${ticket.status.toLowerCase()} by "${approver}"${
+        comment ? `: ${comment}` : ""
+      }`,
+    );
+    return { ...ticket };
+  }
+
+  /**
+   * Runs the stored call of an APPROVED ticket once and records its result.
+   * Tickets in any other state are returned unchanged.
+   */
+  async execute(id: string): Promise<ApprovalTicket | undefined> {
+    const entry = this.entries.get(id);
+    if (!entry) return undefined;
+
+    this.expire(entry);
+    if (entry.running) return entry.running;
+    if (entry.ticket.status !== "APPROVED") return { ...entry.ticket };
+
+    entry.running = this.runApproved(entry).finally(() => {
+      entry.running = undefined;
+    });
+    return entry.running;
+  }
+
+  private async runApproved(entry: Entry): Promise<ApprovalTicket> {
+    const { ticket } = entry;
+    try {
+      const outcome = await entry.run();
+      if (outcome.retry) return { ...ticket, result: outcome.result };
+
+      ticket.status = "EXECUTED";
+      ticket.result = outcome.result;
+    } catch (err) {
+      ticket.status = "FAILED";
+      ticket.error = err instanceof Error ? err.message : String(err);
+    }
+    ticket.executedAt = new Date().toISOString();
+
+    console.log(`[APPROVALS] Ticket ${ticket.id} ${ticket.status.toLowerCase()}`);
+    return { ...ticket };
+  }
+
+  /** Marks PENDING and unexecuted APPROVED tickets past their TTL as EXPIRED. */
+  private expire(entry: Entry) {
+    const { ticket } = entry;
+    const open = ticket.status === "PENDING" || ticket.status === "APPROVED";
+    if (open && !entry.running && Date.parse(ticket.expiresAt) <= Date.now()) {
+      ticket.status = "EXPIRED";
+    }
+  }
+
+  /** Drops tickets well past their TTL so the store doesn't grow forever. */
+  private prune() {
+    const cutoff = Date.now() - this.ttlMs * (RETENTION_FACTOR - 1);
+    for (const [id, entry] of this.entries) {
+      if (!entry.running && Date.parse(entry.ticket.expiresAt) < cutoff) {
+        this.entries.delete(id);
+      }
+    }
+  }
+}
+
+/** Shared by the workflow tools and the approval page. */
+export const approvals = new ApprovalStore(
+  envNumber("MCP_APPROVAL_TTL_MS", 24 * 60 * 60 * 1000, 1),
+);
+
+/**
+ * Link to the approval page for a ticket; relative unless MCP_PUBLIC_URL is
+ * set.
+ */
+export const approvalUrl = (id: string) =>
+  `${(process.env.MCP_PUBLIC_URL ?? "").replace(/\/+$/, "")}/approvals?ticket=${encodeURIComponent(id)}`;
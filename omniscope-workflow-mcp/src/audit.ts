@@ -0,0 +1,236 @@
+/**
+ * Structured audit log of every MCP tool invocation.
+ *
+ * Each tool call appends one JSON line to the audit file (default
+ * logs/audit.jsonl) with the session id, authenticated user, tool name,
+ * redacted arguments, the Omniscope requests it made (endpoint, HTTP status,
+ * duration), the overall outcome and any jobId returned.
+ *
+ * The file rotates by size: audit.jsonl -> audit.1.jsonl -> ... -> audit.N.jsonl.
+ *
+ * Settings (env):
+ *   MCP_AUDIT_LOG        Path of the audit file, or "false" to disable
+ *   MCP_AUDIT_MAX_BYTES  Rotate once the file reaches this size (default 10 MB)
+ *   MCP_AUDIT_MAX_FILES  Number of rotated files to keep (default 5)
+ */
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+
+import type { ToolExtra } from "./apis/tool-helpers.js";
+import { envNumber } from "./config.js";
+import { toolCalls } from "./metrics.js";
+import { ANONYMOUS_USER } from "./policy.js";
+
+export interface OmniscopeRequestRecord {
+  method: string;
+  url: string;
+  /** Undefined when no response was received (timeout, network error). */
+  status?: number;
+  durationMs: number;
+}
+
+export interface AuditEntry {
+  ts: string;
+  sessionId?: string;
+  user: string;
+  tool: string;
+  args: unknown;
+  outcome: "ok" | "error";
+  error?: string;
+  durationMs: number;
+  /** Last Omniscope endpoint called and its HTTP status. */
+  endpoint?: string;
+  httpStatus?: number;
+  requests: OmniscopeRequestRecord[];
+  jobId?: string;
+}
+
+// ---------- Redaction ----------
+
+const SECRET_KEY = /pass(word)?|secret|token|authorization|api[-_]?key|credential|cookie/i;
+
+/** Strings longer than this are replaced by their length (e.g. uploaded file content). */
+const MAX_LOGGED_STRING = 1024;
+
+/**
+ * Returns a copy of `value` that is safe to write to logs: values under
+ * secret-looking keys are masked and very long strings are elided. Name/value
+ * pairs such as parameter updates (`{ name: "DB password", value: "…" }`)
+ * have their `value` masked when the name looks secret.
+ */
+export function redact(value: unknown, depth = 0): unknown {
+  if (depth > 8) return "[…]";
+
+  if (typeof value === "string") {
+    return value.length > MAX_LOGGED_STRING
+      ? `[${value.length} chars omitted]`
+      : value;
+  }
+
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  if (value && typeof value === "object") {
+    const name = (value as { name?: unknown }).name;
+    const secretPair = typeof name === "string" && SECRET_KEY.test(name);
+
+    const out: Record<string, unknown> = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] =
+        SECRET_KEY.test(k) || (secretPair && k === "value")
+          ? "[REDACTED]"
+          : redact(v, depth + 1);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+// ---------- Audit file with size-based rotation ----------
+
+/**
+ * Append-only JSON lines file that rotates once it reaches `maxBytes`.
+ */
+export class AuditLog {
+  constructor(
+    private readonly filePath: string,
+    private readonly maxBytes: number,
+    private readonly maxFiles: number,
+  ) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  private rotatedPath(n: number) {
+    const { dir, name, ext } = path.parse(this.filePath);
+    return path.join(dir, `${name}.${n}${ext}`);
+  }
+
+  private rotateIfNeeded(incomingBytes: number) {
+    let size = 0;
+    try {
+      size = fs.statSync(this.filePath).size;
+    } catch {
+      return; // no file yet
+    }
+    if (size + incomingBytes <= this.maxBytes) return;
+
+    // Shift audit.(n-1) -> audit.n, dropping the oldest
+    for (let n = this.maxFiles; n >= 1; n--) {
+      const from = n === 1 ? this.filePath : this.rotatedPath(n - 1);
+      if (!fs.existsSync(from)) continue;
+      if (n === this.maxFiles && fs.existsSync(this.rotatedPath(n))) {
+        fs.unlinkSync(this.rotatedPath(n));
+      }
+      fs.renameSync(from, this.rotatedPath(n));
+    }
+  }
+
+  write(entry: AuditEntry) {
+    const line = JSON.stringify(entry) + "\n";
+    try {
+      this.rotateIfNeeded(Buffer.byteLength(line));
+      // Synchronous append keeps entries whole and in order
+      fs.appendFileSync(this.filePath, line, { flag: "a" });
+    } catch (err) {
+      console.error("[audit] Failed to write audit entry:", (err as Error).message);
+    }
+  }
+}
+
+const createAuditLog = (): AuditLog | undefined => {
+  const setting = process.env.MCP_AUDIT_LOG;
+  if (setting === "false") return undefined;
+
+  return new AuditLog(
+    setting || path.join(process.cwd(), "logs", "audit.jsonl"),
+    envNumber("MCP_AUDIT_MAX_BYTES", 10 * 1024 * 1024, 1),
+    envNumber("MCP_AUDIT_MAX_FILES", 5, 1),
+  );
+};
+
+const auditLog = createAuditLog();
+
+// ---------- Per-call context ----------
+
+const callContext = new AsyncLocalStorage<{ requests: OmniscopeRequestRecord[] }>();
+
+/**
+ * Records an outbound Omniscope request against the tool call currently
+ * running (no-op outside a tool call). Called by OmniscopeClient.
+ */
+export function recordOmniscopeRequest(record: OmniscopeRequestRecord) {
+  callContext.getStore()?.requests.push(record);
+}
+
+/**
+ * Extracts a jobId from a tool result built by toJsonResult, if any.
+ */
+const findJobId = (result: any): string | undefined => {
+  const text = result?.content?.[0]?.text;
+  if (typeof text !== "string") return undefined;
+  try {
+    const jobId = JSON.parse(text)?.jobId;
+    return typeof jobId === "string" ? jobId : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Runs a tool handler and writes its audit entry.
+ */
+async function auditToolCall(
+  tool: string,
+  args: unknown,
+  extra: ToolExtra,
+  handler: () => Promise<any>,
+) {
+  const started = Date.now();
+  const store = { requests: [] as OmniscopeRequestRecord[] };
+
+  const finish = (outcome: AuditEntry["outcome"], error?: string, result?: unknown) => {
+    toolCalls.inc({ tool, outcome });
+
+    const last = store.requests[store.requests.length - 1];
+    auditLog?.write({
+      ts: new Date(started).toISOString(),
+      sessionId: extra.sessionId,
+      user: extra.authInfo?.clientId ?? ANONYMOUS_USER,
+      tool,
+      args: redact(args),
+      outcome,
+      error,
+      durationMs: Date.now() - started,
+      endpoint: last?.url,
+      httpStatus: last?.status,
+      requests: store.requests,
+      jobId: findJobId(result),
+    });
+  };
+
+  try {
+    const result = await callContext.run(store, handler);
+    const isError = !!result?.isError;
+    finish(isError ? "error" : "ok", isError ? result.content?.[0]?.text : undefined, result);
+    return result;
+  } catch (err) {
+    finish("error", err instanceof Error ? err.message : String(err));
+    throw err;
+  }
+}
+
+/**
+ * Wraps `server.registerTool` so every tool registered afterwards is audited
+ * and counted in the mcp_tool_calls_total metric.
+ * Call before registering any tool family.
+ */
+export function instrumentToolCalls(server: McpServer) {
+  const register = server.registerTool.bind(server);
+
+  server.registerTool = ((name: string, config: any, cb: any) =>
+    register(name, config, (args: unknown, extra: ToolExtra) =>
+      auditToolCall(name, args, extra, () => Promise.resolve(cb(args, extra))),
+    )) as typeof server.registerTool;
+}
@@ -0,0 +1,221 @@
+/**
+ * Authentication for the /mcp endpoint and the /approvals page.
+ *
+ * Supports two schemes, either or both of which can be enabled:
+ *  - Bearer tokens from a tokens file (MCP_TOKENS_FILE). Tokens are stored as
+ *    SHA-256 hashes, can expire and can be revoked without a restart (the file
+ *    is re-read whenever it changes).
+ *  - A single shared Basic auth pair (MCP_BASIC_USER / MCP_BASIC_PASS).
+ *
+ * All secret comparisons are constant-time. The authenticated identity is
+ * attached to the request as `req.auth`, which the MCP SDK hands to tool
+ * handlers as `extra.authInfo`.
+ *
+ * Tokens file example:
+ * {
+ *   "tokens": [
+ *     {
+ *       "id": "ci-bot",
+ *       "user": "analyst",
+ *       "sha256": "<hex sha256 of the token>",
+ *       "expiresAt": "2026-12-31T23:59:59Z",
+ *       "revoked": false
+ *     }
+ *   ]
+ * }
+ */
+import fs from "fs";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import type { NextFunction, Request, Response } from "express";
+import { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+import { z } from "zod";
+
+const tokensFileSchema = z.object({
+  tokens: z.array(
+    z.object({
+      id: z.string().min(1),
+      user: z.string().min(1),
+      sha256: z.string().regex(/^[0-9a-f]{64}$/i, "must be a hex SHA-256 digest"),
+      expiresAt: z.string().datetime({ offset: true }).optional(),
+      revoked: z.boolean().optional(),
+      scopes: z.array(z.string()).optional(),
+    }),
+  ),
+});
+
+export type TokenEntry = z.infer<typeof tokensFileSchema>["tokens"][number];
+
+/** Prefix of generated tokens, so they are easy to spot in leaked text. */
+const TOKEN_PREFIX = "omcp_";
+
+/**
+ * Hex SHA-256 digest of a token, as stored in the tokens file.
+ */
+export const hashToken = (token: string) =>
+  createHash("sha256").update(token, "utf8").digest("hex");
+
+/**
+ * Generates a new random API token.
+ */
+export const generateToken = () =>
+  TOKEN_PREFIX + randomBytes(32).toString("base64url");
+
+/**
+ * Constant-time string comparison. Both sides are hashed first so inputs of
+ * different lengths don't leak through an early return.
+ */
+export function safeEqual(a: string, b: string): boolean {
+  return timingSafeEqual(
+    createHash("sha256").update(a, "utf8").digest(),
+    createHash("sha256").update(b, "utf8").digest(),
+  );
+}
+
+/**
+ * Tokens file backed store. Re-reads the file whenever its modification time
+ * changes so revocations apply to the next request.
+ */
+export class TokenStore {
+  private entries: TokenEntry[] = [];
+  private loadedMtimeMs = -1;
+
+  constructor(private readonly filePath: string) {
+    this.reloadIfChanged();
+  }
+
+  private reloadIfChanged() {
+    const { mtimeMs } = fs.statSync(this.filePath);
+    if (mtimeMs === this.loadedMtimeMs) return;
+
+    const parsed = tokensFileSchema.safeParse(
+      JSON.parse(fs.readFileSync(this.filePath, "utf8")),
+    );
+    if (!parsed.success) {
+      throw new Error(
+        `Invalid tokens file "${this.filePath}": ${parsed.error.message}`,
+      );
+    }
+
+    this.entries = parsed.data.tokens;
+    this.loadedMtimeMs = mtimeMs;
+  }
+
+  /**
+   * Returns the matching, active token entry or undefined.
+   */
+  verify(token: string): TokenEntry | undefined {
+    try {
+      this.reloadIfChanged();
+    } catch (err) {
+      // Keep serving the last good file rather than locking everyone out
+      console.error("[auth] Failed to reload tokens file:", (err as Error).message);
+    }
+
+    const digest = Buffer.from(hashToken(token), "hex");
+    let match: TokenEntry | undefined;
+
+    // Compare against every entry so timing doesn't reveal which one matched
+    for (const entry of this.entries) {
+      if (timingSafeEqual(digest, Buffer.from(entry.sha256, "hex"))) {
+        match = entry;
+      }
+    }
+
+    if (!match || match.revoked) return undefined;
+    if (match.expiresAt && Date.parse(match.expiresAt) <= Date.now()) {
+      return undefined;
+    }
+
+    return match;
+  }
+}
+
+export interface McpAuthOptions {
+  basicUser?: string;
+  basicPass?: string;
+  tokensFile?: string;
+  /** Path prefixes that need auth (default: /mcp), matched case-insensitively. */
+  paths?: string[];
+}
+
+/**
+ * Builds the /mcp auth middleware.
+ *
+ * Behaviour:
+ *  - If neither a tokens file nor Basic credentials are configured:
+ *      -> Do NOT require auth (useful for ChatGPT MCP testing).
+ *  - Otherwise a valid Bearer token or Basic pair is required.
+ */
+export function createMcpAuthMiddleware(options: McpAuthOptions) {
+  const tokenStore = options.tokensFile
+    ? new TokenStore(options.tokensFile)
+    : undefined;
+  const basicEnabled = !!(options.basicUser && options.basicPass);
+  // Express routes match regardless of case, so "/MCP" must be covered too
+  const paths = (options.paths ?? ["/mcp"]).map((p) => p.toLowerCase());
+
+  const challenges = [
+    tokenStore ? 'Bearer realm="Omniscope MCP"' : undefined,
+    basicEnabled ? 'Basic realm="Omniscope MCP"' : undefined,
+  ].filter((c): c is string => !!c);
+
+  const authenticate = (header: string | undefined): AuthInfo | undefined => {
+    if (!header) return undefined;
+
+    if (tokenStore && header.startsWith("Bearer ")) {
+      const entry = tokenStore.verify(header.substring(7).trim());
+      if (!entry) return undefined;
+
+      return {
+        // Never hand the raw token to tool handlers
+        token: entry.id,
+        clientId: entry.user,
+        scopes: entry.scopes ?? [],
+        expiresAt: entry.expiresAt
+          ? Math.floor(Date.parse(entry.expiresAt) / 1000)
+          : undefined,
+        extra: { method: "bearer", tokenId: entry.id },
+      };
+    }
+
+    if (basicEnabled && header.startsWith("Basic ")) {
+      const decoded = Buffer.from(header.substring(6), "base64").toString();
+      const sep = decoded.indexOf(":");
+      const u = sep >= 0 ? decoded.substring(0, sep) : decoded;
+      const p = sep >= 0 ? decoded.substring(sep + 1) : "";
+
+      // Evaluate both comparisons so timing doesn't reveal which one failed
+      const userOk = safeEqual(u, options.basicUser!);
+      const passOk = safeEqual(p, options.basicPass!);
+      if (!(userOk && passOk)) return undefined;
+
+      return {
+        token: "",
+        clientId: u,
+        scopes: [],
+        extra: { method: "basic" },
+      };
+    }
+
+    return undefined;
+  };
+
+  return (req: Request, res: Response, next: NextFunction) => {
+    // Only care about /mcp traffic (and any other configured paths)
+    const path = req.path.toLowerCase();
+    if (!paths.some((p) => path.startsWith(p))) return next();
+
+    // If no credentials configured, leave /mcp open (for ChatGPT / dev)
+    if (!challenges.length) return next();
+
+    const authInfo = authenticate(req.header("authorization"));
+    if (!authInfo) {
+      res.set("WWW-Authenticate", challenges.join(", "));
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    // Expose the caller to tool handlers (extra.authInfo)
+    (req as Request & { auth?: AuthInfo }).auth = authInfo;
+    next();
+  };
+}
@@ -1,7 +1,23 @@
 import dotenv from "dotenv";
+import fs from "fs";
+import { Buffer } from "node:buffer";
+import { z } from "zod";
+import {
+  PermissionPolicy,
+  isUnderPrefix,
+  loadPolicy,
+  normalizeProjectPath,
+} from "./policy.js";
+import { QuotaConfig, loadQuotas } from "./quotas.js";
+import type { CircuitBreakerConfig, RetryConfig } from "./apis/resilience.js";
 dotenv.config();
 
-export interface ServerConfig {
+/**
+ * Connection settings of one Omniscope server.
+ */
+export interface OmniscopeInstance {
+  name: string;
+  description?: string;
   baseUrl: string;
   auth: {
     type: "basic" | "none";
@@ -9,9 +25,114 @@ export interface ServerConfig {
     password?: string;
   };
   allowedPrefixes: string[];
+  allowedSchedulerTasks: string[];
   requestTimeoutMs: number;
 }
 
+/**
+ * Runtime config. The instance fields at the top level describe the instance
+ * a client talks to (the default one unless resolved via `resolveInstance`).
+ */
+export interface ServerConfig extends OmniscopeInstance {
+  /** Every configured instance by name, including the default one. */
+  instances: Record<string, OmniscopeInstance>;
+  defaultInstance: string;
+  retry: RetryConfig;
+  circuitBreaker: CircuitBreakerConfig;
+  queryMaxRows: number;
+  jobWaitTimeoutMs: number;
+  jobPollIntervalMs: number;
+  uploadMaxBytes: number;
+  uploadAllowedContentTypes: string[];
+  resourceProjects: string[];
+  resourcePollIntervalMs: number;
+  /** Per-user permission policy; undefined when MCP_POLICY_FILE is not set. */
+  policy?: PermissionPolicy;
+  /** Per-tool rate limits and job caps; undefined when MCP_QUOTAS_FILE is not set. */
+  quotas?: QuotaConfig;
+}
+
+/** Name of the instance configured through OMNI_BASE_URL & co. */
+const ENV_INSTANCE_NAME = "default";
+
+const splitList = (value: string | undefined) =>
+  (value ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+/**
+ * Reads a whole-number env var of at least `min`, or `fallback` when it is
+ * unset or blank. Throws on anything else, so a typo stops the server at
+ * startup instead of becoming NaN.
+ */
+export function envNumber(name: string, fallback: number, min = 0): number {
+  const raw = process.env[name]?.trim();
+  if (!raw) return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be a whole number of at least ${min}, got "${raw}"`);
+  }
+  return value;
+}
+
+const instancesFileSchema = z.object({
+  defaultInstance: z.string().optional(),
+  instances: z.record(
+    z
+      .object({
+        description: z.string().optional(),
+        baseUrl: z.string().url(),
+        username: z.string().optional(),
+        password: z.string().optional(),
+        // Name of an env var holding the password, to keep secrets out of the file
+        passwordEnv: z.string().optional(),
+        allowedPrefixes: z.array(z.string()).optional(),
+        allowedSchedulerTasks: z.array(z.string()).optional(),
+        timeoutMs: z.number().int().positive().optional(),
+      })
+      .strict(),
+  ),
+});
+
+/**
+ * Reads named Omniscope instances from OMNI_INSTANCES_FILE.
+ */
+function loadInstancesFile(
+  filePath: string,
+  defaultTimeoutMs: number,
+): { defaultInstance?: string; instances: Record<string, OmniscopeInstance> } {
+  const parsed = instancesFileSchema.safeParse(
+    JSON.parse(fs.readFileSync(filePath, "utf8")),
+  );
+  if (!parsed.success) {
+    throw new Error(
+      `Invalid instances file "${filePath}": ${parsed.error.message}`,
+    );
+  }
+
+  const instances: Record<string, OmniscopeInstance> = {};
+  for (const [name, i] of Object.entries(parsed.data.instances)) {
+    const password = i.passwordEnv ? process.env[i.passwordEnv] : i.password;
+
+    instances[name] = {
+      name,
+      description: i.description,
+      baseUrl: i.baseUrl,
+      auth:
+        i.username && password
+          ? { type: "basic", username: i.username, password }
+          : { type: "none" },
+      allowedPrefixes: i.allowedPrefixes ?? [],
+      allowedSchedulerTasks: i.allowedSchedulerTasks ?? [],
+      requestTimeoutMs: i.timeoutMs ?? defaultTimeoutMs,
+    };
+  }
+
+  return { defaultInstance: parsed.data.defaultInstance, instances };
+}
+
 /**
  * Reads configuration from environment variables so other modules can treat the
  * resulting object as immutable runtime config.
@@ -39,33 +160,185 @@ export const loadConfig = (): ServerConfig => {
     };
   }
 
-  const allowedPrefixes = (process.env.OMNI_ALLOWED_PROJECT_PREFIXES ?? "")
-    .split(",")
-    .map((s) => s.trim())
-    .filter((s) => s.length > 0);
+  const allowedPrefixes = splitList(process.env.OMNI_ALLOWED_PROJECT_PREFIXES);
+  const allowedSchedulerTasks = splitList(
+    process.env.OMNI_ALLOWED_SCHEDULER_TASKS,
+  );
 
-  const requestTimeoutMs = Number(process.env.OMNI_TIMEOUT_MS ?? 15000);
+  const requestTimeoutMs = envNumber("OMNI_TIMEOUT_MS", 15000, 1);
 
-  const config: ServerConfig = {
+  // Named instances: the env based instance (if OMNI_BASE_URL is set) plus any
+  // from OMNI_INSTANCES_FILE
+  const instances: Record<string, OmniscopeInstance> = {};
+  if (baseUrl) {
+    instances[ENV_INSTANCE_NAME] = {
+      name: ENV_INSTANCE_NAME,
+      baseUrl,
+      auth,
+      allowedPrefixes,
+      allowedSchedulerTasks,
+      requestTimeoutMs,
+    };
+  }
+
+  const instancesFile = process.env.OMNI_INSTANCES_FILE;
+  let fileDefault: string | undefined;
+  if (instancesFile) {
+    const loaded = loadInstancesFile(instancesFile, requestTimeoutMs);
+    Object.assign(instances, loaded.instances);
+    fileDefault = loaded.defaultInstance;
+  }
+
+  const defaultInstance =
+    fileDefault ??
+    (instances[ENV_INSTANCE_NAME]
+      ? ENV_INSTANCE_NAME
+      : Object.keys(instances)[0]);
+
+  if (defaultInstance && !instances[defaultInstance]) {
+    throw new Error(
+      `Default Omniscope instance "${defaultInstance}" is not defined in ${instancesFile}`,
+    );
+  }
+
+  // Without any instance keep the previous behaviour (empty base URL)
+  const current: OmniscopeInstance = instances[defaultInstance] ?? {
+    name: ENV_INSTANCE_NAME,
     baseUrl,
     auth,
     allowedPrefixes,
+    allowedSchedulerTasks,
     requestTimeoutMs,
   };
 
+  // Retries for transient Omniscope failures (attempts include the first try)
+  const retry: RetryConfig = {
+    maxAttempts: envNumber("OMNI_RETRY_MAX_ATTEMPTS", 3, 1),
+    baseDelayMs: envNumber("OMNI_RETRY_BASE_DELAY_MS", 300),
+    maxDelayMs: envNumber("OMNI_RETRY_MAX_DELAY_MS", 5000),
+  };
+
+  // Fail fast after repeated transient failures until Omniscope recovers
+  const circuitBreaker: CircuitBreakerConfig = {
+    failureThreshold: envNumber("OMNI_CIRCUIT_FAILURE_THRESHOLD", 5, 1),
+    resetMs: envNumber("OMNI_CIRCUIT_RESET_MS", 30000),
+  };
+
+  // Upper bound on rows any query_* tool returns, so a large table can't flood
+  // the model's context
+  const queryMaxRows = envNumber("OMNI_QUERY_MAX_ROWS", 200, 1);
+
+  // Defaults for workflow_execute_and_wait; the timeout is also the upper
+  // bound a tool call may ask for
+  const jobWaitTimeoutMs = envNumber("OMNI_JOB_WAIT_TIMEOUT_MS", 300000, 1);
+  const jobPollIntervalMs = envNumber("OMNI_JOB_POLL_INTERVAL_MS", 2000, 1);
+
+  // Limits for workflow_upload_and_execute. The default size keeps base64
+  // payloads under the 4mb JSON body limit of the /mcp endpoint
+  const uploadMaxBytes = envNumber("OMNI_UPLOAD_MAX_BYTES", 2 * 1024 * 1024, 1);
+  const uploadAllowedContentTypes = (
+    process.env.OMNI_UPLOAD_ALLOWED_CONTENT_TYPES ??
+    "text/csv,text/plain,text/tab-separated-values,application/json"
+  )
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => s.length > 0);
+
+  // Projects listed as MCP resources (allowed prefixes that are .iox paths are
+  // always included), and how often subscribed resources are re-read
+  const resourceProjects = Array.from(
+    new Set([
+      ...allowedPrefixes.filter((p) => p.endsWith(".iox")),
+      ...splitList(process.env.OMNI_RESOURCE_PROJECTS),
+    ]),
+  );
+  const resourcePollIntervalMs = envNumber(
+    "OMNI_RESOURCE_POLL_INTERVAL_MS",
+    30000,
+    1,
+  );
+
+  const policyFile = process.env.MCP_POLICY_FILE;
+  const policy = policyFile
+    ? loadPolicy(policyFile, Object.keys(instances))
+    : undefined;
+
+  const quotasFile = process.env.MCP_QUOTAS_FILE;
+  const quotas = quotasFile ? loadQuotas(quotasFile) : undefined;
+
+  const config: ServerConfig = {
+    ...current,
+    instances,
+    defaultInstance: current.name,
+    retry,
+    circuitBreaker,
+    queryMaxRows,
+    jobWaitTimeoutMs,
+    jobPollIntervalMs,
+    uploadMaxBytes,
+    uploadAllowedContentTypes,
+    resourceProjects,
+    resourcePollIntervalMs,
+    policy,
+    quotas,
+  };
+
   // Optional debug log – remove if too noisy
   console.log("[CONFIG] Loaded server config:", {
+    defaultInstance: config.defaultInstance,
+    instances: Object.values(config.instances).map((i) => ({
+      name: i.name,
+      baseUrl: i.baseUrl,
+      authType: i.auth.type,
+    })),
     baseUrl: config.baseUrl,
     authType: config.auth.type,
     hasUsername: !!config.auth.username,
     hasPassword: !!config.auth.password,
     allowedPrefixes: config.allowedPrefixes,
+    allowedSchedulerTasks: config.allowedSchedulerTasks,
     requestTimeoutMs: config.requestTimeoutMs,
+    retry: config.retry,
+    circuitBreaker: config.circuitBreaker,
+    queryMaxRows: config.queryMaxRows,
+    jobWaitTimeoutMs: config.jobWaitTimeoutMs,
+    jobPollIntervalMs: config.jobPollIntervalMs,
+    uploadMaxBytes: config.uploadMaxBytes,
+    uploadAllowedContentTypes: config.uploadAllowedContentTypes,
+    resourceProjects: config.resourceProjects,
+    resourcePollIntervalMs: config.resourcePollIntervalMs,
+    policyFile: policyFile ?? null,
+    policyUsers: policy ? Object.keys(policy.users) : [],
+    quotasFile: quotasFile ?? null,
+    quotaTools: quotas ? Object.keys(quotas.tools) : [],
   });
 
   return config;
 };
 
+/**
+ * Returns the config for a named Omniscope instance (the default one when
+ * `name` is omitted), so clients pick up that instance's URL, credentials,
+ * timeout and allow-lists.
+ */
+export function resolveInstance(
+  config: ServerConfig,
+  name?: string,
+): ServerConfig {
+  if (!name || name === config.name) return config;
+
+  const instance = config.instances[name];
+  if (!instance) {
+    throw new Error(
+      `Unknown Omniscope instance "${name}". Available: ${Object.keys(
+        config.instances,
+      ).join(", ")}`,
+    );
+  }
+
+  return { ...config, ...instance };
+}
+
 /**
  * Normalizes the base URL so downstream clients don't have to worry about trailing slashes.
  */
@@ -74,20 +347,40 @@ export function resolveBaseUrl(config: ServerConfig): string {
   return config.baseUrl.replace(/\/+$/, "");
 }
 
+/**
+ * Builds the Authorization header for outbound Omniscope requests, if any.
+ */
+export function createAuthHeaders(config: ServerConfig): Record<string, string> {
+  const { type, username, password } = config.auth;
+
+  if (type === "basic") {
+    return {
+      Authorization:
+        "Basic " +
+        Buffer.from(`${username}:${password}`, "utf8").toString("base64"),
+    };
+  }
+
+  return {};
+}
+
 /**
  * Ensures a project path respects the optional prefix allow-list before hitting Omniscope.
+ * Returns the normalized path (see normalizeProjectPath).
  */
 export function validateProjectPath(
   config: ServerConfig,
   projectPath: string,
 ): string {
+  const path = normalizeProjectPath(projectPath);
+
   if (!config.allowedPrefixes.length) {
     // If no prefixes configured, allow everything
-    return projectPath;
+    return path;
   }
 
   const valid = config.allowedPrefixes.some((prefix) =>
-    projectPath.startsWith(prefix),
+    isUnderPrefix(path, prefix),
   );
 
   if (!valid) {
@@ -98,5 +391,28 @@ export function validateProjectPath(
     );
   }
 
-  return projectPath;
+  return path;
+}
+
+/**
+ * Ensures a scheduler task name is on the optional task allow-list before hitting Omniscope.
+ */
+export function validateSchedulerTaskName(
+  config: ServerConfig,
+  taskName: string,
+): string {
+  if (!config.allowedSchedulerTasks.length) {
+    // If no tasks configured, allow everything
+    return taskName;
+  }
+
+  if (!config.allowedSchedulerTasks.includes(taskName)) {
+    throw new Error(
+      `Scheduler task "${taskName}" is not allowed. Must be one of: ${config.allowedSchedulerTasks.join(
+        ", ",
+      )}`,
+    );
+  }
+
+  return taskName;
 }
@@ -0,0 +1,129 @@
+/**
+ * Readiness check behind GET /readyz.
+ *
+ * The server is ready when the default Omniscope instance (OMNI_BASE_URL)
+ * answers an authenticated request: reading the parameters of the project
+ * named by OMNI_HEALTHCHECK_PROJECT_PATH. Omniscope serves its start page
+ * without credentials, so without that project the server never reports
+ * ready rather than report ready with credentials nobody checked.
+ * Credentials that Omniscope rejects (401/403) count as not ready.
+ *
+ * Results are cached for a few seconds so frequent probes don't load
+ * Omniscope. The check bypasses the retries and circuit breaker of the API
+ * clients so it reports the current state.
+ */
+import {
+  createAuthHeaders,
+  resolveBaseUrl,
+  ServerConfig,
+  validateProjectPath,
+} from "./config.js";
+
+export interface ReadinessResult {
+  ready: boolean;
+  instance: string;
+  /** URL requested, without credentials. */
+  url: string;
+  httpStatus?: number;
+  durationMs: number;
+  error?: string;
+  checkedAt: string;
+}
+
+/** How long a readiness result is reused. */
+const CACHE_MS = 5000;
+
+let cached: { at: number; result: ReadinessResult } | undefined;
+
+const readinessUrl = (config: ServerConfig, projectPath: string) => {
+  const p = validateProjectPath(config, projectPath);
+  return `${resolveBaseUrl(config)}${encodeURI(p)}/w/param`;
+};
+
+/** fetch only says "fetch failed"; the cause has the useful code. */
+const describeFetchError = (err: unknown) => {
+  if (!(err instanceof Error)) return String(err);
+  const code = (err.cause as { code?: string } | undefined)?.code;
+  return code ? `${err.message} (${code})` : err.message;
+};
+
+async function probe(
+  config: ServerConfig,
+  projectPath: string,
+): Promise<ReadinessResult> {
+  const started = Date.now();
+  let url = config.baseUrl;
+  const result = (fields: Partial<ReadinessResult>): ReadinessResult => ({
+    ready: false,
+    instance: config.name,
+    url,
+    durationMs: Date.now() - started,
+    checkedAt: new Date(started).toISOString(),
+    ...fields,
+  });
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.requestTimeoutMs);
+
+  try {
+    url = readinessUrl(config, projectPath);
+    const response = await fetch(url, {
+      headers: { Accept: "application/json", ...createAuthHeaders(config) },
+      signal: controller.signal,
+    });
+    // Only the status matters; don't keep the connection busy with the body
+    await response.body?.cancel();
+
+    if (response.status === 401 || response.status === 403) {
+      return result({
+        httpStatus: response.status,
+        error: "Omniscope rejected the configured credentials",
+      });
+    }
+    if (response.status >= 400) {
+      return result({
+        httpStatus: response.status,
+        error: `Omniscope answered with HTTP ${response.status}`,
+      });
+    }
+    return result({ ready: true, httpStatus: response.status });
+  } catch (err) {
+    return result({
+      error: controller.signal.aborted
+        ? `No answer from Omniscope within ${config.requestTimeoutMs}ms`
+        : describeFetchError(err),
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Returns whether the default Omniscope instance is reachable with the
+ * configured credentials, reusing a result younger than a few seconds.
+ */
+export async function checkReadiness(
+  config: ServerConfig,
+): Promise<ReadinessResult> {
+  // Missing settings are reported as is, without calling or caching
+  const projectPath = process.env.OMNI_HEALTHCHECK_PROJECT_PATH;
+  if (!config.baseUrl || !projectPath) {
+    const missing = config.baseUrl
+      ? "OMNI_HEALTHCHECK_PROJECT_PATH"
+      : "OMNI_BASE_URL";
+    return {
+      ready: false,
+      instance: config.name,
+      url: config.baseUrl,
+      durationMs: 0,
+      error: `${missing} is not configured`,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.result;
+
+  const result = await probe(config, projectPath);
+  cached = { at: Date.now(), result };
+  return result;
+}
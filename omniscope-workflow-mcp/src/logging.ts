@@ -0,0 +1,81 @@
+/**
+ * Console redirect shared by the entry points.
+ *
+ * console.log/warn go to {dir}/stdout.log and console.error to
+ * {dir}/stderr.log. The HTTP server also mirrors them to the terminal; the
+ * stdio server must not, since its stdout carries the MCP protocol.
+ */
+import fs from "fs";
+import path from "path";
+import util from "util";
+
+export interface ConsoleRedirect {
+  /** Flushes and closes the log files. */
+  close(): Promise<void>;
+}
+
+function formatArg(a: unknown): string {
+  if (typeof a === "string") return a;
+  try {
+    return JSON.stringify(a);
+  } catch {
+    return util.inspect(a, { depth: 4 });
+  }
+}
+
+/**
+ * Redirects console output into log files in `dir` (created if missing).
+ * With `mirror` the original console methods are still called as well.
+ */
+export function redirectConsoleToFiles(
+  dir: string,
+  { mirror }: { mirror: boolean },
+): ConsoleRedirect {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Create log streams (append mode)
+  const outStream = fs.createWriteStream(path.join(dir, "stdout.log"), {
+    flags: "a",
+  });
+  const errStream = fs.createWriteStream(path.join(dir, "stderr.log"), {
+    flags: "a",
+  });
+
+  // Keep original console methods
+  const origLog = console.log;
+  const origError = console.error;
+  const origWarn = console.warn;
+
+  const line = (args: unknown[]) => args.map(formatArg).join(" ") + "\n";
+
+  // Redirect console.log → file (+ terminal)
+  console.log = (...args: any[]) => {
+    outStream.write(line(args));
+    if (mirror) origLog(...args);
+  };
+
+  // console.info / debug default to stdout too; never let them reach it
+  console.info = console.log;
+  console.debug = console.log;
+
+  // Redirect console.error → file (+ terminal)
+  console.error = (...args: any[]) => {
+    errStream.write(line(args));
+    if (mirror) origError(...args);
+  };
+
+  // Redirect console.warn → file (+ terminal)
+  console.warn = (...args: any[]) => {
+    outStream.write("[WARN] " + line(args));
+    if (mirror) origWarn(...args);
+  };
+
+  const end = (stream: fs.WriteStream) =>
+    new Promise<void>((resolve) => stream.end(resolve));
+
+  return {
+    close: async () => {
+      await Promise.all([end(outStream), end(errStream)]);
+    },
+  };
+}
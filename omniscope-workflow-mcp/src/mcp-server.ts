@@ -0,0 +1,40 @@
+/**
+ * Builds the Omniscope McpServer with every tool family, resource and prompt
+ * registered. Kept free of side effects (no logging redirect, no HTTP
+ * listener) so entry points and the contract tests can share it. Entry
+ * points load the config once and pass it in for every session.
+ */
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+
+import type { ServerConfig } from "./config.js";
+import { instrumentToolCalls } from "./audit.js";
+import { registerWorkflowTools } from "./apis/workflow/workflow-tools.js";
+import { registerWorkflowResources } from "./apis/workflow/workflow-resources.js";
+import { registerWorkflowPrompts } from "./apis/workflow/workflow-prompts.js";
+import { registerSchedulerTools } from "./apis/scheduler/scheduler-tools.js";
+import { registerProjectTools } from "./apis/project/project-tools.js";
+import { registerQueryTools } from "./apis/query/query-tools.js";
+import { registerInstanceTools } from "./apis/instances/instance-tools.js";
+
+export function createOmniscopeServer(config: ServerConfig): McpServer {
+  const server = new McpServer({
+    name: "omniscope-mcp",
+    version: "0.1.0",
+  });
+
+  // Audit every tool call; must run before the tools are registered
+  instrumentToolCalls(server);
+
+  // Register all API tool families here
+  registerWorkflowTools(server, config);
+  registerSchedulerTools(server, config);
+  registerProjectTools(server, config);
+  registerQueryTools(server, config);
+  registerInstanceTools(server, config);
+
+  // Browsable projects and reusable prompts
+  registerWorkflowResources(server, config);
+  registerWorkflowPrompts(server, config);
+
+  return server;
+}
@@ -0,0 +1,178 @@
+/**
+ * Prometheus metrics served on GET /metrics.
+ *
+ * A small registry rendering the Prometheus text format (version 0.0.4):
+ *   mcp_tool_calls_total                    tool calls by tool and outcome
+ *   omniscope_request_duration_seconds      Omniscope request latency by
+ *                                           instance, API, method and status
+ *   mcp_active_sessions                     open MCP sessions
+ *   mcp_inflight_jobs                       jobs started by the tools that
+ *                                           have not been seen finishing
+ *
+ * Gauges are read from their owners (SessionManager, QuotaTracker) when the
+ * metrics are rendered.
+ */
+
+type Labels = Record<string, string>;
+
+export interface GaugeSample {
+  labels?: Labels;
+  value: number;
+}
+
+interface Metric {
+  name: string;
+  help: string;
+  type: "counter" | "gauge" | "histogram";
+  samples(): string[];
+}
+
+const metrics = new Map<string, Metric>();
+
+const escapeLabel = (value: string) =>
+  value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels: Labels = {}) => {
+  const pairs = Object.entries(labels).map(
+    ([k, v]) => `${k}="${escapeLabel(v)}"`,
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+/** Stable key of a label set, independent of property order. */
+const labelKey = (labels: Labels) =>
+  JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const register = <T extends Metric>(metric: T): T => {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric "${metric.name}" is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+};
+
+/**
+ * Monotonic counter per label set.
+ */
+export class Counter implements Metric {
+  readonly type = "counter";
+  private readonly values = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+  ) {
+    register(this);
+  }
+
+  inc(labels: Labels = {}, by = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) ?? { labels, value: 0 };
+    entry.value += by;
+    this.values.set(key, entry);
+  }
+
+  samples() {
+    return [...this.values.values()].map(
+      (e) => `${this.name}${formatLabels(e.labels)} ${e.value}`,
+    );
+  }
+}
+
+/**
+ * Gauge whose samples are collected from their owner at render time.
+ */
+export class Gauge implements Metric {
+  readonly type = "gauge";
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    private readonly collect: () => number | GaugeSample[],
+  ) {
+    register(this);
+  }
+
+  samples() {
+    const collected = this.collect();
+    const samples =
+      typeof collected === "number" ? [{ value: collected }] : collected;
+    return samples.map(
+      (s) => `${this.name}${formatLabels(s.labels)} ${s.value}`,
+    );
+  }
+}
+
+/**
+ * Cumulative histogram per label set.
+ */
+export class Histogram implements Metric {
+  readonly type = "histogram";
+  private readonly values = new Map<
+    string,
+    { labels: Labels; counts: number[]; sum: number; count: number }
+  >();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    private readonly buckets: number[],
+  ) {
+    register(this);
+  }
+
+  observe(labels: Labels, value: number) {
+    const key = labelKey(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    this.buckets.forEach((le, i) => {
+      if (value <= le) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  samples() {
+    return [...this.values.values()].flatMap((e) => [
+      ...this.buckets.map(
+        (le, i) =>
+          `${this.name}_bucket${formatLabels({ ...e.labels, le: String(le) })} ${e.counts[i]}`,
+      ),
+      `${this.name}_bucket${formatLabels({ ...e.labels, le: "+Inf" })} ${e.count}`,
+      `${this.name}_sum${formatLabels(e.labels)} ${e.sum}`,
+      `${this.name}_count${formatLabels(e.labels)} ${e.count}`,
+    ]);
+  }
+}
+
+/** Content type of the rendered metrics. */
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * Renders every registered metric in the Prometheus text format.
+ */
+export function renderMetrics(): string {
+  const lines: string[] = [];
+  for (const m of metrics.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    lines.push(...m.samples());
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ---------- Metrics shared across modules ----------
+
+export const toolCalls = new Counter(
+  "mcp_tool_calls_total",
+  "MCP tool calls by tool and outcome.",
+);
+
+export const omniscopeRequestDuration = new Histogram(
+  "omniscope_request_duration_seconds",
+  "Latency of requests to Omniscope by instance, API, method and HTTP status (\"error\" without a response).",
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+);
@@ -0,0 +1,307 @@
+/**
+ * Role-based permission policy for MCP callers.
+ *
+ * The policy file (MCP_POLICY_FILE) maps MCP users to the project prefixes they
+ * may touch and the operations they may perform there. The special user "*"
+ * applies to every caller. When no policy file is configured every caller may
+ * do everything that OMNI_ALLOWED_PROJECT_PREFIXES allows.
+ *
+ * Example:
+ * {
+ *   "users": {
+ *     "alice": {
+ *       "projects": [
+ *         { "prefix": "/mcptest", "operations": ["read", "update_params", "execute", "lambda", "upload"] }
+ *       ],
+ *       "scheduler": ["read", "execute"]
+ *     },
+ *     "*": {
+ *       "projects": [{ "prefix": "/public", "operations": ["read"] }]
+ *     }
+ *   },
+ *   "approvals": [
+ *     { "prefix": "/mcptest/finance", "operations": ["execute", "lambda", "update_params"] }
+ *   ],
+ *   "approvers": ["admin"]
+ * }
+ *
+ * "approvals" lists project prefixes where those operations only run after
+ * one of the "approvers" accepts the ticket the tool call returns (see
+ * approvals.ts). "upload" can be gated too, and is whenever "lambda" is.
+ *
+ * Project and approval rules apply on every Omniscope instance unless they
+ * name one with "instance", e.g. { "instance": "prod", "prefix": "/finance", ... }.
+ * Calls without an `instance` argument run on the default instance.
+ */
+import fs from "fs";
+import { z } from "zod";
+
+import type { ServerConfig } from "./config.js";
+
+/**
+ * Operations a caller can be granted on a project prefix.
+ *
+ * read          read parameters, job state and report data
+ * update_params update project parameters
+ * execute       run workflows in place
+ * lambda        run lambda copies
+ * upload        upload files into FILE parameters (runs a lambda copy)
+ * create        create projects from templates
+ */
+export const PROJECT_OPERATIONS = [
+  "read",
+  "update_params",
+  "execute",
+  "lambda",
+  "upload",
+  "create",
+] as const;
+
+/**
+ * Operations a caller can be granted on the Scheduler API.
+ *
+ * read    list jobs and read job status
+ * execute run tasks and cancel jobs
+ */
+export const SCHEDULER_OPERATIONS = ["read", "execute"] as const;
+
+/**
+ * Project operations that can be made to wait for approval. Uploads run a
+ * lambda copy, so prefixes that gate "lambda" gate "upload" as well.
+ */
+export const APPROVAL_OPERATIONS = [
+  "execute",
+  "lambda",
+  "update_params",
+  "upload",
+] as const;
+
+export type ProjectOperation = (typeof PROJECT_OPERATIONS)[number];
+export type ApprovalOperation = (typeof APPROVAL_OPERATIONS)[number];
+export type SchedulerOperation = (typeof SCHEDULER_OPERATIONS)[number];
+
+const policySchema = z
+  .object({
+    users: z.record(
+      z.object({
+        projects: z
+          .array(
+            z.object({
+              instance: z.string().min(1).optional(),
+              prefix: z.string().min(1),
+              operations: z.array(z.enum(PROJECT_OPERATIONS)),
+            }),
+          )
+          .optional(),
+        scheduler: z.array(z.enum(SCHEDULER_OPERATIONS)).optional(),
+      }),
+    ),
+    approvals: z
+      .array(
+        z.object({
+          instance: z.string().min(1).optional(),
+          prefix: z.string().min(1),
+          operations: z.array(z.enum(APPROVAL_OPERATIONS)),
+        }),
+      )
+      .optional(),
+    approvers: z.array(z.string().min(1)).optional(),
+  })
+  .refine((p) => !p.approvals?.length || !!p.approvers?.length, {
+    message: '"approvals" needs at least one user in "approvers"',
+    path: ["approvers"],
+  });
+
+export type PermissionPolicy = z.infer<typeof policySchema>;
+
+/** Identity used for callers that did not authenticate. */
+export const ANONYMOUS_USER = "anonymous";
+
+/** Policy entry that applies to every user. */
+const ANY_USER = "*";
+
+/**
+ * Reads and validates a policy file. Fails loudly so a broken policy never
+ * silently turns into "allow everything". Rules may only name one of
+ * `instanceNames`, so a misspelt instance can't quietly drop an approval gate.
+ */
+export function loadPolicy(
+  filePath: string,
+  instanceNames: string[],
+): PermissionPolicy {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(
+      `Failed to read permission policy "${filePath}": ${(err as Error).message}`,
+    );
+  }
+
+  const parsed = policySchema.safeParse(raw);
+  if (!parsed.success) {
+    throw new Error(
+      `Invalid permission policy "${filePath}": ${parsed.error.message}`,
+    );
+  }
+
+  const rules = [
+    ...Object.values(parsed.data.users).flatMap((e) => e.projects ?? []),
+    ...(parsed.data.approvals ?? []),
+  ];
+  const unknown = rules.find(
+    (r) => r.instance !== undefined && !instanceNames.includes(r.instance),
+  );
+  if (unknown) {
+    throw new Error(
+      `Invalid permission policy "${filePath}": unknown Omniscope instance "${unknown.instance}". Available: ${instanceNames.join(", ")}`,
+    );
+  }
+
+  return parsed.data;
+}
+
+const entriesFor = (policy: PermissionPolicy, user: string) =>
+  [policy.users[user], policy.users[ANY_USER]].filter(
+    (e): e is NonNullable<typeof e> => !!e,
+  );
+
+const describe = (operations: string[]) =>
+  operations.map((o) => `"${o}"`).join(" or ");
+
+/**
+ * Returns `projectPath` as "/a/b/c" (one leading slash, no trailing slash).
+ * Throws on ".", ".." and empty segments, also when percent-encoded, and on
+ * backslashes and control characters: fetch resolves or strips those before
+ * the request reaches Omniscope, so "/public/../finance" would otherwise pass
+ * a "/public" prefix check and run "/finance".
+ */
+export function normalizeProjectPath(projectPath: string): string {
+  const trimmed = projectPath.replace(/^\//, "").replace(/\/+$/, "");
+  if (!trimmed) return "/";
+
+  for (const segment of trimmed.split("/")) {
+    let decoded: string;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch {
+      decoded = "";
+    }
+    if (
+      decoded === "" ||
+      decoded === "." ||
+      decoded === ".." ||
+      /[\/\\\u0000-\u001f]/.test(decoded)
+    ) {
+      throw new Error(
+        `Invalid project path "${projectPath}": empty, "." and ".." segments, backslashes and control characters are not allowed`,
+      );
+    }
+  }
+
+  return `/${trimmed}`;
+}
+
+/**
+ * Returns true if the normalized `projectPath` is `prefix` or lies below it.
+ * Matches whole segments, so "/mcptest/fin" does not cover "/mcptest/finance".
+ */
+export function isUnderPrefix(projectPath: string, prefix: string): boolean {
+  const base = `/${prefix.replace(/^\/+|\/+$/g, "")}`;
+  if (base === "/") return true;
+  return projectPath === base || projectPath.startsWith(`${base}/`);
+}
+
+/**
+ * Returns true if `rule` applies on the named instance (the default one when
+ * `instance` is omitted). Rules without an instance apply on all of them.
+ */
+const appliesOn = (
+  config: ServerConfig,
+  rule: { instance?: string },
+  instance: string | undefined,
+) => !rule.instance || rule.instance === (instance ?? config.defaultInstance);
+
+/**
+ * Ensures `user` may perform one of `operations` on `projectPath` of the
+ * named Omniscope instance (the default one when omitted).
+ * Throws a descriptive error, which the MCP server reports as a tool error.
+ */
+export function authorizeProject(
+  config: ServerConfig,
+  user: string,
+  projectPath: string,
+  operations: ProjectOperation | ProjectOperation[],
+  instance?: string,
+): void {
+  if (!config.policy) return;
+
+  const wanted = Array.isArray(operations) ? operations : [operations];
+  const path = normalizeProjectPath(projectPath);
+  const allowed = entriesFor(config.policy, user)
+    .flatMap((e) => e.projects ?? [])
+    .some(
+      (rule) =>
+        appliesOn(config, rule, instance) &&
+        isUnderPrefix(path, rule.prefix) &&
+        wanted.some((op) => rule.operations.includes(op)),
+    );
+
+  if (!allowed) {
+    const where = instance ? ` on instance "${instance}"` : "";
+    throw new Error(
+      `Permission denied: user "${user}" is not allowed to ${describe(
+        wanted,
+      )} on "${projectPath}"${where}`,
+    );
+  }
+}
+
+/**
+ * Ensures `user` may perform `operation` on the Scheduler API.
+ */
+export function authorizeScheduler(
+  config: ServerConfig,
+  user: string,
+  operation: SchedulerOperation,
+): void {
+  if (!config.policy) return;
+
+  const allowed = entriesFor(config.policy, user).some((e) =>
+    (e.scheduler ?? []).includes(operation),
+  );
+
+  if (!allowed) {
+    throw new Error(
+      `Permission denied: user "${user}" is not allowed to "${operation}" on the Scheduler API`,
+    );
+  }
+}
+
+/**
+ * Returns true if `operation` on `projectPath` of the named instance (the
+ * default one when omitted) must wait for approval.
+ */
+export function requiresApproval(
+  config: ServerConfig,
+  projectPath: string,
+  operation: ApprovalOperation,
+  instance?: string,
+): boolean {
+  const path = normalizeProjectPath(projectPath);
+  const gatedBy: ApprovalOperation[] =
+    operation === "upload" ? ["upload", "lambda"] : [operation];
+  return (config.policy?.approvals ?? []).some(
+    (rule) =>
+      appliesOn(config, rule, instance) &&
+      isUnderPrefix(path, rule.prefix) &&
+      gatedBy.some((op) => rule.operations.includes(op)),
+  );
+}
+
+/**
+ * Returns true if `user` may approve or reject tickets.
+ */
+export function isApprover(config: ServerConfig, user: string): boolean {
+  return (config.policy?.approvers ?? []).includes(user);
+}
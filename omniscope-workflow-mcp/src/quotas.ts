@@ -0,0 +1,334 @@
+/**
+ * Rate limits and concurrent-job caps for the tools that start Omniscope jobs.
+ *
+ * The quotas file (MCP_QUOTAS_FILE) sets limits per tool name, per user and
+ * per project (a project on one Omniscope instance). The special tool "*"
+ * applies to every limited tool without an entry of its own. When no quotas
+ * file is configured nothing is limited.
+ *
+ * Example:
+ * {
+ *   "tools": {
+ *     "workflow_execute": {
+ *       "perUser": { "calls": 20, "windowSeconds": 60, "concurrentJobs": 3 },
+ *       "perProject": { "calls": 5, "windowSeconds": 60, "concurrentJobs": 1 }
+ *     },
+ *     "*": { "perUser": { "calls": 60, "windowSeconds": 60 } }
+ *   }
+ * }
+ *
+ * Calls are counted per tool in a sliding window when they are let through.
+ * A concurrentJobs cap counts the running jobs of every job-starting tool, so
+ * a project capped at one job can't run a second through another tool.
+ * Running jobs are tracked from the jobIds the tools hand out and forgotten
+ * once a tool sees them finish, or once a refresh finds them finished. Jobs
+ * are keyed by instance, project path and jobId, so callers must pass the
+ * resolved instance name and the normalized project path.
+ */
+import fs from "fs";
+import { z } from "zod";
+
+const limitSchema = z
+  .object({
+    /** Calls allowed per window. */
+    calls: z.number().int().positive().optional(),
+    windowSeconds: z.number().positive().default(60),
+    /** Jobs that may be running at the same time, whichever tool started them. */
+    concurrentJobs: z.number().int().positive().optional(),
+  })
+  .strict();
+
+const quotasSchema = z.object({
+  tools: z.record(
+    z
+      .object({
+        perUser: limitSchema.optional(),
+        perProject: limitSchema.optional(),
+      })
+      .strict(),
+  ),
+});
+
+export type QuotaConfig = z.infer<typeof quotasSchema>;
+type Limit = z.infer<typeof limitSchema>;
+
+/** Quota entry that applies to every tool without its own. */
+const ANY_TOOL = "*";
+
+/**
+ * Reads and validates a quotas file. Fails loudly so a broken file never
+ * silently turns into "no limits".
+ */
+export function loadQuotas(filePath: string): QuotaConfig {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(
+      `Failed to read quotas "${filePath}": ${(err as Error).message}`,
+    );
+  }
+
+  const parsed = quotasSchema.safeParse(raw);
+  if (!parsed.success) {
+    throw new Error(`Invalid quotas "${filePath}": ${parsed.error.message}`);
+  }
+
+  return parsed.data;
+}
+
+/**
+ * Why a call was refused. Returned to the caller instead of calling Omniscope.
+ */
+export interface QuotaRejection {
+  error: "RATE_LIMITED" | "TOO_MANY_RUNNING_JOBS";
+  message: string;
+  tool: string;
+  scope: "user" | "project";
+  limit: number;
+  /** Seconds after which the same call may succeed. */
+  retryAfterSeconds: number;
+}
+
+/** A job started by a limited tool that has not been seen finishing yet. */
+export interface TrackedJob {
+  jobId: string;
+  tool: string;
+  user: string;
+  projectPath: string;
+  instance?: string;
+  startedAt: number;
+}
+
+/** Identifies a tracked job: a jobId only means something within its project. */
+export type JobRef = Pick<TrackedJob, "jobId" | "projectPath" | "instance">;
+
+/**
+ * A concurrency slot held between the quota check and the job starting, so
+ * parallel calls can't all slip under the cap.
+ */
+export interface QuotaSlot {
+  /** Turns the slot into a tracked job. */
+  started(jobId: string): void;
+  /** Frees the slot without a job, e.g. for dry runs or failed calls. */
+  release(): void;
+}
+
+/**
+ * Asks Omniscope whether a tracked job is still running. Should resolve true
+ * when that can't be determined, so an unreachable server doesn't free slots.
+ */
+export type JobActiveCheck = (job: TrackedJob) => Promise<boolean>;
+
+/** Retry hint for running jobs, which have no natural expiry. */
+const RUNNING_JOB_RETRY_SECONDS = 30;
+
+/**
+ * Shared by every session, so limits hold across all of a user's sessions.
+ */
+export class QuotaTracker {
+  /** When each let-through call leaves its window, per "tool|scope|key". */
+  private readonly calls = new Map<string, number[]>();
+  /** Tracked jobs per "instance|projectPath|jobId". */
+  private readonly jobs = new Map<string, TrackedJob>();
+  /** Slots reserved but not started yet, per "scope|key". */
+  private readonly pending = new Map<string, number>();
+
+  constructor(private readonly quotas?: QuotaConfig) {}
+
+  private limitsFor(tool: string) {
+    return this.quotas?.tools[tool] ?? this.quotas?.tools[ANY_TOOL];
+  }
+
+  /**
+   * Checks the tool's limits for the caller and project. Returns a slot to
+   * report the started job with, or the reason the call must not go ahead.
+   */
+  async acquire(
+    call: Omit<TrackedJob, "jobId" | "startedAt">,
+    isActive: JobActiveCheck,
+  ): Promise<{ slot: QuotaSlot } | { rejection: QuotaRejection }> {
+    const { tool } = call;
+    const limits = this.limitsFor(tool);
+    const scopes = [
+      { scope: "user" as const, limit: limits?.perUser },
+      { scope: "project" as const, limit: limits?.perProject },
+    ]
+      .filter((s): s is typeof s & { limit: Limit } => !!s.limit)
+      .map((s) => ({ ...s, key: scopeKey(s.scope, call) }));
+
+    // Only ask Omniscope about finished jobs when a cap would be hit
+    for (const s of scopes) {
+      const cap = s.limit.concurrentJobs;
+      if (cap && this.running(s.scope, s.key) >= cap) {
+        await this.refresh(s.scope, s.key, isActive);
+      }
+    }
+
+    // From here on nothing awaits, so parallel calls can't interleave
+    const now = Date.now();
+    for (const s of scopes) {
+      const rejection =
+        this.checkRate(call, s.scope, s.key, s.limit, now) ??
+        this.checkRunning(call, s.scope, s.key, s.limit);
+      if (rejection) return { rejection };
+    }
+
+    // Checks passed: count the call and reserve the concurrency slots
+    for (const s of scopes) {
+      if (!s.limit.calls) continue;
+      const k = bucket(tool, s.scope, s.key);
+      const expires = now + s.limit.windowSeconds * 1000;
+      this.calls.set(k, [...(this.calls.get(k) ?? []), expires]);
+    }
+    const keys = scopes.map((s) => `${s.scope}|${s.key}`);
+    keys.forEach((k) => this.pending.set(k, (this.pending.get(k) ?? 0) + 1));
+
+    let held = true;
+    const free = () => {
+      if (!held) return;
+      held = false;
+      keys.forEach((k) => {
+        const left = (this.pending.get(k) ?? 1) - 1;
+        if (left > 0) this.pending.set(k, left);
+        else this.pending.delete(k);
+      });
+    };
+
+    return {
+      slot: {
+        started: (jobId) => {
+          free();
+          const job = { ...call, jobId, startedAt: Date.now() };
+          this.jobs.set(jobKey(job), job);
+        },
+        release: free,
+      },
+    };
+  }
+
+  /** Forgets a job once a tool has seen it finish. */
+  jobFinished(job: JobRef) {
+    this.jobs.delete(jobKey(job));
+  }
+
+  /** Tracked jobs that have not been seen finishing, per tool. */
+  runningByTool() {
+    const counts = new Map<string, number>();
+    for (const job of this.jobs.values()) {
+      counts.set(job.tool, (counts.get(job.tool) ?? 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Asks Omniscope about every tracked job and forgets the finished ones, so
+   * jobs nobody waits for don't pile up. Also drops expired call windows.
+   */
+  async refreshAll(isActive: JobActiveCheck) {
+    const now = Date.now();
+    for (const k of [...this.calls.keys()]) this.expireCalls(k, now);
+    await Promise.all(
+      [...this.jobs.values()].map(async (job) => {
+        if (!(await isActive(job))) this.jobs.delete(jobKey(job));
+      }),
+    );
+  }
+
+  private checkRate(
+    call: Omit<TrackedJob, "jobId" | "startedAt">,
+    scope: QuotaRejection["scope"],
+    key: string,
+    limit: Limit,
+    now: number,
+  ): QuotaRejection | undefined {
+    if (!limit.calls) return undefined;
+
+    const window = this.expireCalls(bucket(call.tool, scope, key), now);
+    if (window.length < limit.calls) return undefined;
+
+    return {
+      error: "RATE_LIMITED",
+      message: `${describeScope(scope, call)} has called ${call.tool} ${window.length} times in the last ${limit.windowSeconds}s (limit ${limit.calls}). Retry later.`,
+      tool: call.tool,
+      scope,
+      limit: limit.calls,
+      retryAfterSeconds: Math.max(1, Math.ceil((window[0] - now) / 1000)),
+    };
+  }
+
+  /**
+   * Drops the calls that left their window, and the whole entry once it is
+   * empty, so callers that stop calling don't keep one forever.
+   */
+  private expireCalls(k: string, now: number) {
+    const window = (this.calls.get(k) ?? []).filter((t) => t > now);
+    if (window.length) this.calls.set(k, window);
+    else this.calls.delete(k);
+    return window;
+  }
+
+  private checkRunning(
+    call: Omit<TrackedJob, "jobId" | "startedAt">,
+    scope: QuotaRejection["scope"],
+    key: string,
+    limit: Limit,
+  ): QuotaRejection | undefined {
+    const running = this.running(scope, key);
+    if (!limit.concurrentJobs || running < limit.concurrentJobs)
+      return undefined;
+
+    return {
+      error: "TOO_MANY_RUNNING_JOBS",
+      message: `${describeScope(scope, call)} already has ${running} running job(s) (limit ${limit.concurrentJobs} for ${call.tool}). Wait for one to finish before starting another.`,
+      tool: call.tool,
+      scope,
+      limit: limit.concurrentJobs,
+      retryAfterSeconds: RUNNING_JOB_RETRY_SECONDS,
+    };
+  }
+
+  /** Tracked jobs of every tool counted against a user or project. */
+  private matching(scope: QuotaRejection["scope"], key: string) {
+    return [...this.jobs.values()].filter((j) => scopeKey(scope, j) === key);
+  }
+
+  private running(scope: QuotaRejection["scope"], key: string) {
+    return (
+      this.matching(scope, key).length +
+      (this.pending.get(`${scope}|${key}`) ?? 0)
+    );
+  }
+
+  private async refresh(
+    scope: QuotaRejection["scope"],
+    key: string,
+    isActive: JobActiveCheck,
+  ) {
+    await Promise.all(
+      this.matching(scope, key).map(async (job) => {
+        if (!(await isActive(job))) this.jobs.delete(jobKey(job));
+      }),
+    );
+  }
+}
+
+const bucket = (tool: string, scope: string, key: string) =>
+  `${tool}|${scope}|${key}`;
+
+const jobKey = (job: JobRef) =>
+  `${job.instance ?? ""}|${job.projectPath}|${job.jobId}`;
+
+/** A project is only the same project on the same instance. */
+const scopeKey = (
+  scope: QuotaRejection["scope"],
+  job: Pick<TrackedJob, "user" | "projectPath" | "instance">,
+) => (scope === "user" ? job.user : `${job.instance ?? ""}|${job.projectPath}`);
+
+const describeScope = (
+  scope: QuotaRejection["scope"],
+  job: Pick<TrackedJob, "user" | "projectPath" | "instance">,
+) =>
+  scope === "user"
+    ? `User "${job.user}"`
+    : `Project "${job.projectPath}"${job.instance ? ` on instance "${job.instance}"` : ""}`;
@@ -1,196 +1,170 @@
 /**
  * Entry point for the Omniscope Workflow MCP server.
- *  - Redirects console output into ./logs for later inspection.
- *  - Hosts the Streamable HTTP transport under /mcp with optional Basic auth.
- *  - Manages per-session McpServer instances so multiple MCP sessions can run concurrently.
+ *  - Redirects console output into ./logs (or MCP_LOG_DIR) for later inspection.
+ *  - Hosts the Streamable HTTP transport under /mcp with optional Bearer token / Basic auth.
+ *  - Manages per-session McpServer instances so multiple MCP sessions can run concurrently,
+ *    closing idle ones and capping how many are open (see sessions.ts).
+ *  - Serves GET /health (/healthz), /readyz and Prometheus /metrics.
+ *  - Serves the /approvals page for tickets opened by approval-gated tool
+ *    calls (see approval-routes.ts), behind the same auth as /mcp.
+ *  - Shuts down gracefully on SIGINT / SIGTERM.
  */
 import "dotenv/config";
-import fs from "fs";
 import path from "path";
-import util from "util";
 import express from "express";
 import { randomUUID } from "node:crypto";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
 // import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js"; // no longer needed
 
-import { registerWorkflowTools } from "./apis/workflow/workflow-tools.js";
+import { ANONYMOUS_USER } from "./policy.js";
+import { createApprovalRouter } from "./approval-routes.js";
+import { createMcpAuthMiddleware } from "./auth.js";
+import { redact } from "./audit.js";
+import { envNumber, loadConfig } from "./config.js";
+import { checkReadiness } from "./health.js";
+import { redirectConsoleToFiles } from "./logging.js";
+import { Gauge, METRICS_CONTENT_TYPE, renderMetrics } from "./metrics.js";
+import { createOmniscopeServer } from "./mcp-server.js";
+import { loadSessionLimits, SessionManager } from "./sessions.js";
 
 // ---------- Global Logging Redirect ----------
 
-// Create logs folder if missing
-const logsDir = path.join(process.cwd(), "logs");
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir);
-}
-
-// Create log streams (append mode)
-const outStream = fs.createWriteStream(path.join(logsDir, "stdout.log"), {
-  flags: "a",
-});
-const errStream = fs.createWriteStream(path.join(logsDir, "stderr.log"), {
-  flags: "a",
-});
-
-// Keep original console methods
-const origLog = console.log;
-const origError = console.error;
-const origWarn = console.warn;
-
-function formatArg(a: unknown): string {
-  if (typeof a === "string") return a;
-  try {
-    return JSON.stringify(a);
-  } catch {
-    return util.inspect(a, { depth: 4 });
-  }
-}
-
-// Redirect console.log → file (+ terminal)
-console.log = (...args: any[]) => {
-  const line = args.map(formatArg).join(" ") + "\n";
-  outStream.write(line);
-  origLog(...args); // remove this if you want logs ONLY in files
-};
-
-// Redirect console.error → file (+ terminal)
-console.error = (...args: any[]) => {
-  const line = args.map(formatArg).join(" ") + "\n";
-  errStream.write(line);
-  origError(...args);
-};
-
-// Redirect console.warn → file (+ terminal)
-console.warn = (...args: any[]) => {
-  const line = args.map(formatArg).join(" ") + "\n";
-  outStream.write("[WARN] " + line);
-  origWarn(...args);
-};
-
-// Graceful shutdown: flush log streams
-function shutdown() {
-  outStream.end();
-  errStream.end();
-  process.exit(0);
-}
-
-process.on("SIGINT", shutdown);
-process.on("SIGTERM", shutdown);
-
-// ---------- MCP Server ----------
-
-function createOmniscopeServer(): McpServer {
-  const server = new McpServer({
-    name: "omniscope-mcp",
-    version: "0.1.0",
-  });
-
-  // Register all API tool families here
-  registerWorkflowTools(server);
-  // registerSchedulerTools(server);
-  // registerProjectTools(server);
-
-  return server;
-}
+// Console output goes to ./logs (or MCP_LOG_DIR) and the terminal
+const logs = redirectConsoleToFiles(
+  process.env.MCP_LOG_DIR ?? path.join(process.cwd(), "logs"),
+  { mirror: true },
+);
 
 // ---------- Session handling ----------
 
-type SessionContext = {
-  transport: StreamableHTTPServerTransport;
-  server: McpServer;
-};
-
-const sessions = new Map<string, SessionContext>();
+const sessions = new SessionManager(loadSessionLimits());
+sessions.start();
 
-async function disposeSession(id?: string) {
-  if (!id) return;
-  const ctx = sessions.get(id);
-  if (!ctx) return;
-
-  sessions.delete(id);
-  await ctx.server.close();
-}
+new Gauge(
+  "mcp_active_sessions",
+  "Open MCP sessions.",
+  () => sessions.stats().active,
+);
 
 // ---------- HTTP server ----------
 
 const app = express();
 app.use(express.json({ limit: "4mb" }));
 
-const USER = process.env.MCP_BASIC_USER;
-const PASS = process.env.MCP_BASIC_PASS;
-
-/**
- * Basic auth for /mcp only.
- *
- * Behaviour:
- *  - If MCP_BASIC_USER and MCP_BASIC_PASS are set:
- *      -> Protect /mcp with HTTP Basic Auth.
- *  - If they are NOT set:
- *      -> Do NOT require auth (useful for ChatGPT MCP testing).
- */
-app.use((req, res, next) => {
-  // Only care about /mcp traffic
-  if (!req.path.startsWith("/mcp")) return next();
-
-  // If no credentials configured, leave /mcp open (for ChatGPT / dev)
-  if (!USER || !PASS) {
-    return next();
-  }
-
-  const h = req.header("authorization");
-  if (!h || !h.startsWith("Basic ")) {
-    res.set("WWW-Authenticate", 'Basic realm="Omniscope MCP"');
-    return res.status(401).json({ error: "Unauthorized" });
-  }
+const config = loadConfig();
 
-  const decoded = Buffer.from(h.substring(6), "base64").toString();
-  const [u, p] = decoded.split(":");
+// Liveness plus session counts; no auth, no user names
+app.get(["/health", "/healthz"], (_req, res) => {
+  res.json({
+    status: "ok",
+    uptimeSeconds: Math.round(process.uptime()),
+    sessions: sessions.stats(),
+  });
+});
 
-  if (u !== USER || p !== PASS) {
-    return res.status(401).json({ error: "Invalid credentials" });
+// Readiness: the default Omniscope instance answers with our credentials.
+// Why it isn't ready only goes to the log, not to whoever probes.
+app.get("/readyz", async (_req, res) => {
+  const result = await checkReadiness(config);
+  if (!result.ready) {
+    console.warn("Readiness check failed:", result);
   }
+  res.status(result.ready ? 200 : 503).json({
+    status: result.ready ? "ready" : "not_ready",
+    checkedAt: result.checkedAt,
+  });
+});
 
-  next();
+// Prometheus metrics; keep this endpoint off the public proxy (see nginx.conf)
+app.get("/metrics", (_req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
 });
 
+/**
+ * Auth for /mcp and /approvals: Bearer tokens (MCP_TOKENS_FILE) and/or a
+ * shared Basic pair (MCP_BASIC_USER / MCP_BASIC_PASS). Open when neither is
+ * configured.
+ */
+app.use(
+  createMcpAuthMiddleware({
+    basicUser: process.env.MCP_BASIC_USER,
+    basicPass: process.env.MCP_BASIC_PASS,
+    tokensFile: process.env.MCP_TOKENS_FILE,
+    paths: ["/mcp", "/approvals"],
+  }),
+);
+
+// Approval page and API for tickets of approval-gated tool calls
+app.use(createApprovalRouter(config));
+
 // MCP endpoint
 app.all("/mcp", async (req, res) => {
   console.log("=== Incoming MCP Request ===");
   console.log("Method:", req.method);
   console.log("Body.method:", (req.body as any)?.method);
-  console.log("Headers:", req.headers);
-  console.log("Body:", req.body);
+  console.log("Headers:", {
+    ...req.headers,
+    // Never write credentials to the log files
+    ...(req.headers.authorization ? { authorization: "[redacted]" } : {}),
+  });
+  console.log("Body:", redact(req.body));
   console.log("============================");
 
   try {
+    const user =
+      (req as express.Request & { auth?: AuthInfo }).auth?.clientId ??
+      ANONYMOUS_USER;
+    console.log("User:", user);
+
     const id = req.header("mcp-session-id");
     let session = id ? sessions.get(id) : undefined;
 
+    // A session can only be used by the user who opened it
+    if (session && session.user !== user) {
+      return res.status(403).json({
+        jsonrpc: "2.0",
+        error: { code: -32000, message: "Session belongs to another user" },
+        id: null,
+      });
+    }
+
     const isInit =
       req.method === "POST" &&
       req.body &&
       typeof (req.body as any).method === "string" &&
       (req.body as any).method === "initialize";
 
-    // New session on initialize
+    // New session on initialize, within the global and per-user limits
     if (!session && isInit) {
-      const server = createOmniscopeServer();
+      const refusal = sessions.checkLimits(user);
+      if (refusal) {
+        console.warn(`Refusing new session for "${user}": ${refusal.message}`);
+        return res.status(refusal.status).json({
+          jsonrpc: "2.0",
+          error: { code: -32000, message: refusal.message },
+          id: null,
+        });
+      }
+
+      const server = createOmniscopeServer(config);
       const transport = new StreamableHTTPServerTransport({
         sessionIdGenerator: () => randomUUID(),
         onsessioninitialized: (newId) => {
-          sessions.set(newId, { server, transport });
+          sessions.add(newId, { server, transport, user });
         },
         onsessionclosed: (closedId) => {
-          void disposeSession(closedId);
+          void sessions.dispose(closedId);
         },
       });
 
       transport.onclose = () => {
-        void disposeSession(transport.sessionId);
+        void sessions.dispose(transport.sessionId);
       };
 
       await server.connect(transport);
-      session = { server, transport };
+      await transport.handleRequest(req, res, req.body);
+      return;
     }
 
     // No valid session yet
@@ -202,7 +176,10 @@ app.all("/mcp", async (req, res) => {
       });
     }
 
-    await session.transport.handleRequest(req, res, req.body);
+    const { transport } = session;
+    await sessions.track(session, () =>
+      transport.handleRequest(req, res, req.body),
+    );
   } catch (err) {
     console.error("Error handling /mcp request:", err);
     return res.status(500).json({
@@ -214,7 +191,35 @@ app.all("/mcp", async (req, res) => {
 });
 
 // Start HTTP server
-const port = Number(process.env.PORT ?? 3000);
-app.listen(port, "0.0.0.0", () => {
+const port = envNumber("PORT", 3000);
+const httpServer = app.listen(port, "0.0.0.0", () => {
   console.log(`Omniscope MCP listening on ${port}`);
 });
+
+// ---------- Graceful shutdown ----------
+
+let shuttingDown = false;
+
+/**
+ * Stops accepting connections, closes every session's transport and flushes
+ * the log streams before exiting. Exits anyway if that takes too long.
+ */
+async function shutdown(signal: string) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(
+    `${signal} received, closing ${sessions.stats().active} session(s)`,
+  );
+
+  setTimeout(() => process.exit(1), 10000).unref();
+
+  httpServer.close();
+  await sessions.closeAll();
+  httpServer.closeAllConnections();
+
+  await logs.close();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => void shutdown("SIGINT"));
+process.on("SIGTERM", () => void shutdown("SIGTERM"));
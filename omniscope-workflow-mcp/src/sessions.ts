@@ -0,0 +1,182 @@
+/**
+ * Lifecycle of the per-session McpServer instances behind /mcp.
+ *
+ * Sessions are closed after a period without requests, and a periodic sweep
+ * removes them even when the client never sends a DELETE. New sessions are
+ * refused once the global or per-user limit is reached.
+ *
+ * Settings (env):
+ *   MCP_SESSION_IDLE_TIMEOUT_MS    Close sessions idle this long (default 30 min)
+ *   MCP_MAX_SESSIONS               Concurrent sessions overall (default 100)
+ *   MCP_MAX_SESSIONS_PER_USER      Concurrent sessions per user (default 10)
+ *   MCP_SESSION_SWEEP_INTERVAL_MS  How often idle sessions are swept (default 60 s)
+ */
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+
+import { envNumber } from "./config.js";
+
+export interface SessionLimits {
+  idleTimeoutMs: number;
+  maxSessions: number;
+  maxSessionsPerUser: number;
+  sweepIntervalMs: number;
+}
+
+export interface SessionContext {
+  transport: StreamableHTTPServerTransport;
+  server: McpServer;
+  /** Authenticated user that opened the session. */
+  user: string;
+  createdAt: number;
+  lastSeenAt: number;
+  /** Requests currently being handled; busy sessions are never swept. */
+  inFlight: number;
+}
+
+/**
+ * Why a new session was refused, with the HTTP status to answer with.
+ */
+export interface SessionRefusal {
+  status: number;
+  message: string;
+}
+
+export const loadSessionLimits = (): SessionLimits => ({
+  idleTimeoutMs: envNumber("MCP_SESSION_IDLE_TIMEOUT_MS", 30 * 60 * 1000, 1),
+  maxSessions: envNumber("MCP_MAX_SESSIONS", 100, 1),
+  maxSessionsPerUser: envNumber("MCP_MAX_SESSIONS_PER_USER", 10, 1),
+  sweepIntervalMs: envNumber("MCP_SESSION_SWEEP_INTERVAL_MS", 60 * 1000, 1),
+});
+
+/**
+ * Keeps track of the open sessions and enforces idle expiry and limits.
+ */
+export class SessionManager {
+  private readonly sessions = new Map<string, SessionContext>();
+  private sweeper?: NodeJS.Timeout;
+
+  constructor(readonly limits: SessionLimits) {}
+
+  /** Starts the periodic idle sweep. */
+  start() {
+    if (this.sweeper) return;
+    this.sweeper = setInterval(
+      () => void this.sweep(),
+      this.limits.sweepIntervalMs,
+    );
+    this.sweeper.unref();
+  }
+
+  /**
+   * Returns the reason a new session for `user` must be refused, or undefined
+   * if it may be created.
+   */
+  checkLimits(user: string): SessionRefusal | undefined {
+    if (this.sessions.size >= this.limits.maxSessions) {
+      return {
+        status: 503,
+        message: `Too many open sessions (limit ${this.limits.maxSessions}). Try again later.`,
+      };
+    }
+
+    const own = this.countFor(user);
+    if (own >= this.limits.maxSessionsPerUser) {
+      return {
+        status: 429,
+        message: `User "${user}" already has ${own} open sessions (limit ${this.limits.maxSessionsPerUser}). Close one before opening another.`,
+      };
+    }
+    return undefined;
+  }
+
+  add(
+    id: string,
+    ctx: Pick<SessionContext, "transport" | "server" | "user">,
+  ) {
+    const now = Date.now();
+    this.sessions.set(id, {
+      ...ctx,
+      createdAt: now,
+      lastSeenAt: now,
+      inFlight: 0,
+    });
+  }
+
+  get(id: string) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Runs `handle` as a request on the session, keeping it from being swept
+   * while the request is in flight.
+   */
+  async track<T>(ctx: SessionContext, handle: () => Promise<T>): Promise<T> {
+    ctx.lastSeenAt = Date.now();
+    ctx.inFlight++;
+    try {
+      return await handle();
+    } finally {
+      ctx.inFlight--;
+      ctx.lastSeenAt = Date.now();
+    }
+  }
+
+  /** Forgets a session and closes its server (and with it the transport). */
+  async dispose(id?: string) {
+    if (!id) return;
+    const ctx = this.sessions.get(id);
+    if (!ctx) return;
+
+    this.sessions.delete(id);
+    await ctx.server.close();
+  }
+
+  /** Closes every session idle for longer than the idle timeout. */
+  async sweep(now = Date.now()) {
+    const expired = [...this.sessions.entries()].filter(
+      ([, ctx]) =>
+        ctx.inFlight === 0 && now - ctx.lastSeenAt > this.limits.idleTimeoutMs,
+    );
+
+    for (const [id, ctx] of expired) {
+      console.log(
+        `[SESSIONS] Closing idle session ${id} of "${ctx.user}" (idle ${Math.round(
+          (now - ctx.lastSeenAt) / 1000,
+        )}s)`,
+      );
+      await this.dispose(id).catch((err) =>
+        console.error(`[SESSIONS] Failed to close session ${id}:`, err),
+      );
+    }
+    return expired.length;
+  }
+
+  /** Stops the sweep and closes every session, e.g. on shutdown. */
+  async closeAll() {
+    if (this.sweeper) clearInterval(this.sweeper);
+    this.sweeper = undefined;
+
+    await Promise.allSettled(
+      [...this.sessions.keys()].map((id) => this.dispose(id)),
+    );
+  }
+
+  countFor(user: string) {
+    let count = 0;
+    for (const ctx of this.sessions.values()) if (ctx.user === user) count++;
+    return count;
+  }
+
+  /** Session counts for /health; never lists user names. */
+  stats() {
+    return {
+      active: this.sessions.size,
+      users: new Set([...this.sessions.values()].map((s) => s.user)).size,
+      busy: [...this.sessions.values()].filter((s) => s.inFlight > 0).length,
+      maxSessions: this.limits.maxSessions,
+      maxSessionsPerUser: this.limits.maxSessionsPerUser,
+      idleTimeoutMs: this.limits.idleTimeoutMs,
+    };
+  }
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Entry point for running the Omniscope MCP server over stdio, for desktop
+ * MCP clients that launch the server themselves.
+ *
+ * Usage:
+ *   node dist/stdio.js [--config <file>]
+ *
+ *  - Reads the same env vars as the HTTP server. `--config` names a .env-style
+ *    or JSON file of those variables; variables already set in the
+ *    environment take precedence over the file.
+ *  - stdout carries the MCP protocol, so console output only goes to
+ *    stdout.log / stderr.log in MCP_LOG_DIR (default: "logs" next to the
+ *    config file, or in the working directory without one).
+ */
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "node:util";
+import dotenv from "dotenv";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+
+import type { ServerConfig } from "./config.js";
+import { redirectConsoleToFiles } from "./logging.js";
+
+const USAGE = "Usage: omniscope-mcp-stdio [--config <file>]\n";
+
+/**
+ * Reads a config file of env vars: JSON (`{"OMNI_BASE_URL": "..."}`) when
+ * the name ends in .json, otherwise .env syntax.
+ */
+function readConfigFile(filePath: string): Record<string, string> {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (!filePath.endsWith(".json")) return dotenv.parse(text);
+
+  const parsed: unknown = JSON.parse(text);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("expected a JSON object of environment variables");
+  }
+
+  const vars: Record<string, string> = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    if (value === null || typeof value === "object") {
+      throw new Error(`"${key}" must be a string, number or boolean`);
+    }
+    vars[key] = String(value);
+  }
+  return vars;
+}
+
+/** Reports a startup failure; stderr is safe, it isn't the protocol stream. */
+function fail(message: string): never {
+  process.stderr.write(`omniscope-mcp-stdio: ${message}\n`);
+  process.exit(1);
+}
+
+let args: { config?: string; help?: boolean };
+try {
+  args = parseArgs({
+    options: {
+      config: { type: "string", short: "c" },
+      help: { type: "boolean", short: "h" },
+    },
+  }).values;
+} catch (err) {
+  fail(`${(err as Error).message}\n${USAGE}`);
+}
+
+if (args.help) {
+  process.stderr.write(USAGE);
+  process.exit(0);
+}
+
+let configDir: string | undefined;
+if (args.config) {
+  const configFile = path.resolve(args.config);
+  let vars: Record<string, string>;
+  try {
+    vars = readConfigFile(configFile);
+  } catch (err) {
+    fail(`Failed to read config "${configFile}": ${(err as Error).message}`);
+  }
+
+  for (const [key, value] of Object.entries(vars)) {
+    if (process.env[key] === undefined) process.env[key] = value;
+  }
+  configDir = path.dirname(configFile);
+}
+
+// ---------- File-only logging ----------
+
+const logDir =
+  process.env.MCP_LOG_DIR ?? path.join(configDir ?? process.cwd(), "logs");
+
+// Keep the audit log with the other logs unless configured otherwise
+process.env.MCP_AUDIT_LOG ??= path.join(logDir, "audit.jsonl");
+
+const logs = redirectConsoleToFiles(logDir, { mirror: false });
+
+// ---------- MCP server ----------
+
+// Imported only now: config.ts loads .env (logging to stdout) and the audit
+// log reads its settings on import
+const { loadConfig } = await import("./config.js");
+const { createOmniscopeServer } = await import("./mcp-server.js");
+
+let config: ServerConfig;
+try {
+  config = loadConfig();
+} catch (err) {
+  await logs.close();
+  fail((err as Error).message);
+}
+
+const server = createOmniscopeServer(config);
+
+try {
+  await server.connect(new StdioServerTransport());
+} catch (err) {
+  console.error("Failed to start stdio transport:", err);
+  await logs.close();
+  fail((err as Error).message);
+}
+
+console.log(`Omniscope MCP running on stdio (logs in ${logDir})`);
+
+// ---------- Shutdown ----------
+
+let shuttingDown = false;
+
+/**
+ * Closes the server and flushes the log files before exiting. The client
+ * ends the session by closing stdin or by sending a signal.
+ */
+async function shutdown(reason: string) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${reason}, shutting down`);
+
+  setTimeout(() => process.exit(1), 5000).unref();
+
+  await server.close();
+  await logs.close();
+  process.exit(0);
+}
+
+process.stdin.on("end", () => void shutdown("stdin closed"));
+process.on("SIGINT", () => void shutdown("SIGINT received"));
+process.on("SIGTERM", () => void shutdown("SIGTERM received"));
@@ -0,0 +1,31 @@
+/**
+ * Small helper for managing MCP API tokens.
+ *
+ * Usage (after `npm run build`):
+ *   npm run token -- create <id> <user> [expiresAt]
+ *     Prints a new token (shown once) and the entry to add to MCP_TOKENS_FILE.
+ *   npm run token -- hash <token>
+ *     Prints the SHA-256 hash of an existing token.
+ */
+import { generateToken, hashToken } from "./auth.js";
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (command === "create" && rest.length >= 2) {
+  const [id, user, expiresAt] = rest;
+  const token = generateToken();
+
+  const entry: Record<string, unknown> = { id, user, sha256: hashToken(token) };
+  if (expiresAt) entry.expiresAt = new Date(expiresAt).toISOString();
+
+  console.log(`Token (store it now, it is not saved anywhere): ${token}`);
+  console.log("Add this entry to the tokens file:");
+  console.log(JSON.stringify(entry, null, 2));
+} else if (command === "hash" && rest.length === 1) {
+  console.log(hashToken(rest[0]));
+} else {
+  console.error(
+    "Usage:\n  token create <id> <user> [expiresAt]\n  token hash <token>",
+  );
+  process.exit(1);
+}
@@ -0,0 +1,131 @@
+/**
+ * HTTP auth tests: src/server.ts runs with a tokens file and a Basic pair,
+ * and /mcp is called with good, unknown, expired and revoked credentials.
+ *
+ * Run with `npm test`.
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { hashToken } from "../src/auth.js";
+import {
+  bearer,
+  HttpServer,
+  INITIALIZE,
+  LIST_TOOLS,
+  postMcp,
+  startHttpServer,
+} from "./http-server.js";
+
+const TOKENS = { alice: "omcp_alice", bob: "omcp_bob", carol: "omcp_carol" };
+
+describe("HTTP auth", () => {
+  let tmpDir: string;
+  let tokensFile: string;
+  let http: HttpServer;
+  let mtime = Date.now() / 1000;
+
+  /** Rewrites the tokens file with a new modification time, as an edit would. */
+  function writeTokens(entries: Array<Record<string, unknown>>) {
+    const tokens = entries.map(({ token, ...entry }) => ({
+      ...entry,
+      sha256: hashToken(token as string),
+    }));
+    fs.writeFileSync(tokensFile, JSON.stringify({ tokens }));
+    mtime += 10;
+    fs.utimesSync(tokensFile, mtime, mtime);
+  }
+
+  const alice = { id: "alice-laptop", user: "alice", token: TOKENS.alice };
+  const bob = { id: "bob-ci", user: "bob", token: TOKENS.bob };
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "omni-mcp-auth-"));
+    tokensFile = path.join(tmpDir, "tokens.json");
+    writeTokens([
+      alice,
+      bob,
+      { id: "old", user: "dave", token: "omcp_old", expiresAt: "2000-01-01T00:00:00Z" },
+      { id: "lost", user: "erin", token: "omcp_lost", revoked: true },
+    ]);
+    http = await startHttpServer({
+      MCP_TOKENS_FILE: tokensFile,
+      MCP_BASIC_USER: "ops",
+      MCP_BASIC_PASS: "ops-pass",
+    });
+  });
+
+  after(async () => {
+    await http?.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("accepts only known, unexpired, unrevoked tokens and the Basic pair", async () => {
+    const ok = await postMcp(http.url, INITIALIZE, bearer(TOKENS.alice));
+    assert.equal(ok.status, 200);
+    assert.ok(ok.headers.get("mcp-session-id"));
+
+    const basic = `Basic ${Buffer.from("ops:ops-pass").toString("base64")}`;
+    assert.equal((await postMcp(http.url, INITIALIZE, { Authorization: basic })).status, 200);
+
+    for (const headers of [
+      {},
+      bearer("omcp_unknown"),
+      bearer("omcp_old"),
+      bearer("omcp_lost"),
+      { Authorization: `Basic ${Buffer.from("ops:wrong").toString("base64")}` },
+    ]) {
+      const denied = await postMcp(http.url, INITIALIZE, headers);
+      assert.equal(denied.status, 401, JSON.stringify(headers));
+      assert.equal(
+        denied.headers.get("www-authenticate"),
+        'Bearer realm="Omniscope MCP", Basic realm="Omniscope MCP"',
+      );
+    }
+
+    const page = await fetch(`${http.url}/approvals`);
+    await page.text();
+    assert.equal(page.status, 401);
+  });
+
+  it("protects the routes however their paths are cased", async () => {
+    for (const path of ["/MCP", "/Mcp/"]) {
+      const denied = await postMcp(http.url, INITIALIZE, {}, path);
+      assert.equal(denied.status, 401, path);
+    }
+
+    const page = await fetch(`${http.url}/APPROVALS`);
+    await page.text();
+    assert.equal(page.status, 401);
+  });
+
+  it("picks up new and revoked tokens without a restart", async () => {
+    const carol = { id: "carol-desktop", user: "carol", token: TOKENS.carol };
+    assert.equal((await postMcp(http.url, INITIALIZE, bearer(TOKENS.carol))).status, 401);
+
+    writeTokens([{ ...alice, revoked: true }, bob, carol]);
+
+    assert.equal((await postMcp(http.url, INITIALIZE, bearer(TOKENS.carol))).status, 200);
+    assert.equal((await postMcp(http.url, INITIALIZE, bearer(TOKENS.alice))).status, 401);
+  });
+
+  it("a session only answers the user who opened it", async () => {
+    const opened = await postMcp(http.url, INITIALIZE, bearer(TOKENS.bob));
+    const session = { "mcp-session-id": opened.headers.get("mcp-session-id")! };
+
+    const other = await postMcp(http.url, LIST_TOOLS, {
+      ...bearer(TOKENS.carol),
+      ...session,
+    });
+    assert.equal(other.status, 403);
+    assert.match(other.text, /Session belongs to another user/);
+
+    const own = await postMcp(http.url, LIST_TOOLS, { ...bearer(TOKENS.bob), ...session });
+    assert.equal(own.status, 200);
+    assert.match(own.text, /workflow_execute/);
+  });
+});
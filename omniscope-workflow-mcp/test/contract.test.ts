@@ -0,0 +1,1205 @@
+/**
+ * Contract tests: every MCP tool is called through an in-memory MCP client
+ * against the mock Omniscope in mock-omniscope.ts, and the exact HTTP
+ * requests (method, URL, body, headers) it sends are checked.
+ *
+ * Run with `npm test`.
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import {
+  getDefaultEnvironment,
+  StdioClientTransport,
+} from "@modelcontextprotocol/sdk/client/stdio.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+
+import type { ServerConfig } from "../src/config.js";
+import { startMockOmniscope, MockOmniscope } from "./mock-omniscope.js";
+
+const BASIC_AUTH = `Basic ${Buffer.from("omni-user:omni-pass").toString("base64")}`;
+
+let mock: MockOmniscope;
+let serverConfig: ServerConfig;
+let client: Client;
+let tmpDir: string;
+
+/**
+ * Calls a tool and returns its parsed JSON result, failing the test on a tool error.
+ */
+async function call(
+  name: string,
+  args: Record<string, unknown> = {},
+  via: Client = client,
+) {
+  const result = (await via.callTool({ name, arguments: args })) as {
+    isError?: boolean;
+    content: Array<{ type: string; text: string }>;
+  };
+  assert.ok(!result.isError, `${name} failed: ${result.content[0]?.text}`);
+  return JSON.parse(result.content[0].text);
+}
+
+/**
+ * Calls a tool that is expected to fail and returns its error text.
+ */
+async function callError(
+  name: string,
+  args: Record<string, unknown> = {},
+  via: Client = client,
+) {
+  const result = (await via.callTool({ name, arguments: args })) as {
+    isError?: boolean;
+    content: Array<{ type: string; text: string }>;
+  };
+  assert.equal(result.isError, true, `${name} unexpectedly succeeded`);
+  return result.content[0].text;
+}
+
+/** Method + path of every request the mock received, e.g. "GET /a.iox/w/param". */
+const sent = () => mock.requests.map((r) => `${r.method} ${r.path}`);
+
+/** Polls a job until the mock reports it COMPLETED, which frees its quota slot. */
+async function finishJob(project_path: string, job_id: string) {
+  for (let polls = 0; polls < 3; polls++) {
+    const { jobState } = await call("workflow_get_job_state", { project_path, job_id });
+    if (jobState === "COMPLETED") return;
+  }
+  assert.fail(`Job ${job_id} did not complete`);
+}
+
+/** Asserts the headers every Omniscope request must carry. */
+function assertCommonHeaders() {
+  for (const r of mock.requests) {
+    assert.equal(r.headers.authorization, BASIC_AUTH, `${r.method} ${r.path}`);
+    assert.equal(r.headers.accept, "application/json", `${r.method} ${r.path}`);
+  }
+}
+
+/** Asserts a JSON request body and its content type. */
+function assertJsonRequest(index: number, body: unknown) {
+  const r = mock.requests[index];
+  assert.equal(r.headers["content-type"], "application/json");
+  assert.deepEqual(r.body, body);
+}
+
+/** Limits exercised by the "quotas" tests; other tests stay under them. */
+const QUOTAS = {
+  tools: {
+    workflow_execute_lambda: { perProject: { calls: 2, windowSeconds: 60 } },
+    workflow_upload_and_execute: { perUser: { concurrentJobs: 1 } },
+  },
+};
+
+/**
+ * The default (anonymous) test client may do everything; other users may only
+ * read under /mcptest/public. Runs under /mcptest/finance need approval.
+ */
+const POLICY = {
+  users: {
+    anonymous: {
+      projects: [
+        {
+          prefix: "/mcptest",
+          operations: ["read", "update_params", "execute", "lambda", "upload", "create"],
+        },
+      ],
+      scheduler: ["read", "execute"],
+    },
+    "*": {
+      projects: [{ prefix: "/mcptest/public", operations: ["read"] }],
+    },
+  },
+  approvals: [{ prefix: "/mcptest/finance", operations: ["execute", "lambda"] }],
+  approvers: ["admin"],
+};
+
+before(async () => {
+  mock = await startMockOmniscope();
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "omni-mcp-"));
+  const quotasFile = path.join(tmpDir, "quotas.json");
+  fs.writeFileSync(quotasFile, JSON.stringify(QUOTAS));
+  const policyFile = path.join(tmpDir, "policy.json");
+  fs.writeFileSync(policyFile, JSON.stringify(POLICY));
+
+  // Set up the env first: the audit log reads its settings on import
+  Object.assign(process.env, {
+    OMNI_BASE_URL: mock.baseUrl,
+    OMNI_BASIC_USERNAME: "omni-user",
+    OMNI_BASIC_PASSWORD: "omni-pass",
+    OMNI_ALLOWED_PROJECT_PREFIXES: "/mcptest",
+    OMNI_ALLOWED_SCHEDULER_TASKS: "",
+    OMNI_RETRY_MAX_ATTEMPTS: "1",
+    OMNI_JOB_POLL_INTERVAL_MS: "10",
+    OMNI_RESOURCE_PROJECTS: "/mcptest/Sales.iox",
+    MCP_AUDIT_LOG: "false",
+    MCP_LOG_TOOLS: "false",
+    MCP_QUOTAS_FILE: quotasFile,
+    MCP_POLICY_FILE: policyFile,
+  });
+  delete process.env.OMNI_INSTANCES_FILE;
+  delete process.env.OMNI_HEALTHCHECK_PROJECT_PATH;
+
+  // Loaded once and shared by every test server, like the entry points do
+  const { loadConfig } = await import("../src/config.js");
+  serverConfig = loadConfig();
+
+  const { createOmniscopeServer } = await import("../src/mcp-server.js");
+  const server = createOmniscopeServer(serverConfig);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+
+  client = new Client({ name: "contract-tests", version: "0.0.0" });
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client?.close();
+  await mock?.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => mock.reset());
+
+/**
+ * Connects another in-memory client whose requests carry `user` as the
+ * authenticated caller, like requests through the HTTP auth middleware.
+ */
+async function connectAs(user: string) {
+  const { createOmniscopeServer } = await import("../src/mcp-server.js");
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const send = clientTransport.send.bind(clientTransport);
+  clientTransport.send = (message, options) =>
+    send(message, {
+      ...options,
+      authInfo: { token: user, clientId: user, scopes: [] },
+    });
+  await createOmniscopeServer(serverConfig).connect(serverTransport);
+
+  const userClient = new Client({ name: `contract-tests-${user}`, version: "0.0.0" });
+  await userClient.connect(clientTransport);
+  return userClient;
+}
+
+describe("workflow tools", () => {
+  it("workflow_execute posts the execute request", async () => {
+    const result = await call("workflow_execute", {
+      project_path: "/mcptest/Sales.iox",
+      blocks: ["Block A"],
+      refresh_from_source: true,
+      cancel_existing: false,
+    });
+
+    assert.deepEqual(result, { jobId: "job-1" });
+    assert.deepEqual(sent(), ["POST /mcptest/Sales.iox/w/execute"]);
+    assertJsonRequest(0, {
+      blocks: ["Block A"],
+      refreshFromSource: true,
+      cancelExisting: false,
+    });
+    assertCommonHeaders();
+  });
+
+  it("workflow_execute_lambda validates params and posts to /w/lambdaexecute", async () => {
+    const result = await call("workflow_execute_lambda", {
+      project_path: "/mcptest/Sales.iox",
+      params: { Region: "US", Threshold: 25 },
+      delete_execution_on_finish: true,
+    });
+
+    assert.equal(result.jobId, "job-1");
+    assert.equal(result.lambdaProjectPath, "/mcptest/Sales_lambda_job-1.iox");
+    assert.deepEqual(sent(), [
+      "GET /mcptest/Sales.iox/w/param",
+      "POST /mcptest/Sales.iox/w/lambdaexecute",
+    ]);
+    assertJsonRequest(1, {
+      deleteExecutionOnFinish: true,
+      params: {
+        updates: [
+          { name: "Region", value: "US" },
+          { name: "Threshold", value: 25 },
+        ],
+        waitForIdle: true,
+      },
+    });
+    assertCommonHeaders();
+  });
+
+  it("workflow_execute_lambda rejects invalid params without running", async () => {
+    const error = await callError("workflow_execute_lambda", {
+      project_path: "/mcptest/Sales.iox",
+      params: { Region: "APAC", Threshold: "high", Missing: 1 },
+    });
+
+    assert.match(error, /Region: "APAC" is not one of the allowed values/);
+    assert.match(error, /Threshold: expected NUMBER, got string "high"/);
+    assert.match(error, /Missing: unknown parameter/);
+    assert.deepEqual(sent(), ["GET /mcptest/Sales.iox/w/param"]);
+  });
+
+  it("workflow_execute_and_wait polls the job until it completes", async () => {
+    const result = await call("workflow_execute_and_wait", {
+      project_path: "/mcptest/Sales.iox",
+    });
+
+    assert.equal(result.jobState, "COMPLETED");
+    assert.equal(result.finished, true);
+    assert.equal(result.timedOut, false);
+    assert.equal(result.polls, 3);
+    assert.deepEqual(sent(), [
+      "POST /mcptest/Sales.iox/w/execute",
+      "GET /mcptest/Sales.iox/w/job/job-1/state",
+      "GET /mcptest/Sales.iox/w/job/job-1/state",
+      "GET /mcptest/Sales.iox/w/job/job-1/state",
+    ]);
+    assertJsonRequest(0, {});
+    assertCommonHeaders();
+  });
+
+  it("workflow_execute_and_wait returns the jobId when polling fails", async () => {
+    mock.failNext("/mcptest/Sales.iox/w/job/job-1/state", 503);
+
+    const result = await call("workflow_execute_and_wait", {
+      project_path: "/mcptest/Sales.iox",
+    });
+
+    assert.equal(result.jobId, "job-1");
+    assert.equal(result.jobState, "UNKNOWN");
+    assert.equal(result.finished, false);
+    assert.match(result.pollError, /Workflow API error \(503\)/);
+    assert.deepEqual(sent(), [
+      "POST /mcptest/Sales.iox/w/execute",
+      "GET /mcptest/Sales.iox/w/job/job-1/state",
+    ]);
+
+    // The job is still there to follow up on
+    const state = await call("workflow_get_job_state", {
+      project_path: "/mcptest/Sales.iox",
+      job_id: result.jobId,
+    });
+    assert.equal(state.jobState, "QUEUED");
+  });
+
+  it("workflow_execute_and_wait runs a lambda copy when asked", async () => {
+    const result = await call("workflow_execute_and_wait", {
+      project_path: "/mcptest/Sales.iox",
+      lambda: true,
+      params: { IncludeArchived: true },
+    });
+
+    assert.equal(result.jobState, "COMPLETED");
+    assert.equal(result.lambda, true);
+    assert.equal(result.lambdaProjectPath, "/mcptest/Sales_lambda_job-1.iox");
+    assert.deepEqual(sent().slice(0, 2), [
+      "GET /mcptest/Sales.iox/w/param",
+      "POST /mcptest/Sales.iox/w/lambdaexecute",
+    ]);
+    assertJsonRequest(1, {
+      params: {
+        updates: [{ name: "IncludeArchived", value: true }],
+        waitForIdle: true,
+      },
+    });
+  });
+
+  it("workflow_upload_and_execute sends the file as multipart form data", async () => {
+    const result = await call("workflow_upload_and_execute", {
+      project_path: "/mcptest/Sales.iox",
+      parameter_name: "InputFile",
+      file_name: "sales.csv",
+      content: "Region,Sales\nEU,10\n",
+      encoding: "text",
+      blocks: ["Import"],
+      delete_execution_on_finish: true,
+    });
+
+    assert.equal(result.jobId, "job-1");
+    assert.deepEqual(sent(), [
+      "GET /mcptest/Sales.iox/w/param",
+      "POST /mcptest/Sales.iox/w/uploadandexecute",
+    ]);
+
+    const upload = mock.requests[1];
+    assert.match(String(upload.headers["content-type"]), /^multipart\/form-data; boundary=/);
+
+    const body = upload.body as {
+      fields: Record<string, string>;
+      files: Record<string, { name: string; type: string; text: string }>;
+    };
+    assert.deepEqual(JSON.parse(body.fields.execution), {
+      blocks: ["Import"],
+      params: {
+        updates: [{ name: "InputFile", formDataKey: "uploadedFile_formdata_key" }],
+      },
+      deleteExecutionOnFinish: true,
+    });
+    assert.deepEqual(body.files.uploadedFile_formdata_key, {
+      name: "sales.csv",
+      type: "text/csv",
+      text: "Region,Sales\nEU,10\n",
+    });
+    assertCommonHeaders();
+  });
+
+  it("workflow_upload_and_execute refuses a non-FILE parameter", async () => {
+    const error = await callError("workflow_upload_and_execute", {
+      project_path: "/mcptest/Sales.iox",
+      parameter_name: "Region",
+      file_name: "sales.csv",
+      content: "a,b\n",
+      encoding: "text",
+    });
+
+    assert.match(error, /Region: expected a FILE parameter, got TEXT/);
+    assert.deepEqual(sent(), ["GET /mcptest/Sales.iox/w/param"]);
+  });
+
+  it("workflow_get_job_state reads the job state", async () => {
+    const { jobId } = await call("workflow_execute", {
+      project_path: "/mcptest/Sales.iox",
+    });
+    mock.requests.length = 0;
+
+    const result = await call("workflow_get_job_state", {
+      project_path: "/mcptest/Sales.iox",
+      job_id: jobId,
+    });
+
+    assert.deepEqual(result, { jobState: "QUEUED" });
+    assert.deepEqual(sent(), ["GET /mcptest/Sales.iox/w/job/job-1/state"]);
+    assert.equal(mock.requests[0].body, undefined);
+    assertCommonHeaders();
+  });
+
+  it("workflow_get_parameters reads all or one parameter", async () => {
+    const all = await call("workflow_get_parameters", {
+      project_path: "/mcptest/Sales.iox",
+    });
+    const one = await call("workflow_get_parameters", {
+      project_path: "/mcptest/Sales.iox",
+      parameter_name: "Threshold",
+    });
+
+    assert.equal(all.paramValues.length, 4);
+    assert.deepEqual(one, { name: "Threshold", type: "NUMBER", value: 10 });
+    assert.deepEqual(sent(), [
+      "GET /mcptest/Sales.iox/w/param",
+      "GET /mcptest/Sales.iox/w/param/Threshold",
+    ]);
+    assertCommonHeaders();
+  });
+
+  it("workflow_update_parameters validates and posts the updates", async () => {
+    await call("workflow_update_parameters", {
+      project_path: "/mcptest/Sales.iox",
+      updates: [
+        { name: "Threshold", value: 42 },
+        { name: "IncludeArchived", value: true },
+      ],
+    });
+
+    assert.deepEqual(sent(), [
+      "GET /mcptest/Sales.iox/w/param",
+      "POST /mcptest/Sales.iox/w/updateparams",
+    ]);
+    assertJsonRequest(1, {
+      updates: [
+        { name: "Threshold", value: 42 },
+        { name: "IncludeArchived", value: true },
+      ],
+    });
+    assertCommonHeaders();
+  });
+
+  it("workflow_update_parameters dry run sends no update", async () => {
+    const result = await call("workflow_update_parameters", {
+      project_path: "/mcptest/Sales.iox",
+      updates: [{ name: "Threshold", value: 1 }],
+      dry_run: true,
+    });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(sent(), ["GET /mcptest/Sales.iox/w/param"]);
+  });
+
+  it("workflow tools reject paths outside the allowed prefixes", async () => {
+    const error = await callError("workflow_execute", {
+      project_path: "/secret/Project.iox",
+    });
+
+    assert.match(error, /is not allowed/);
+    assert.deepEqual(sent(), []);
+  });
+});
+
+describe("scheduler tools", () => {
+  it("scheduler_execute_task, scheduler_get_job, scheduler_list_jobs and scheduler_cancel_job", async () => {
+    const started = await call("scheduler_execute_task", {
+      task_name: "Nightly refresh",
+    });
+    assert.deepEqual(started, { jobId: "sched-1" });
+
+    const job = await call("scheduler_get_job", { job_id: "sched-1" });
+    assert.equal(job.taskName, "Nightly refresh");
+
+    const jobs = await call("scheduler_list_jobs");
+    assert.equal(jobs.length, 1);
+
+    await call("scheduler_cancel_job", { job_id: "sched-1" });
+
+    assert.deepEqual(sent(), [
+      "POST /_admin_/scheduler/api/v1/task/Nightly refresh/execute/",
+      "GET /_admin_/scheduler/api/v1/job/sched-1/",
+      "GET /_admin_/scheduler/api/v1/all/",
+      "DELETE /_admin_/scheduler/api/v1/job/sched-1/",
+    ]);
+    assert.equal(mock.requests[0].body, undefined);
+    assertCommonHeaders();
+  });
+});
+
+describe("project tools", () => {
+  it("project_create posts the create request", async () => {
+    const result = await call("project_create", {
+      folder_path: "/mcptest",
+      name: "New",
+      template_id: "Import data file",
+      parameters: { Source: "s3" },
+    });
+
+    assert.deepEqual(result, { name: "New", path: "/mcptest/New.iox" });
+    assert.deepEqual(sent(), ["POST /mcptest/_api_/v1/create"]);
+    assertJsonRequest(0, {
+      name: "New",
+      templateId: "Import data file",
+      parameters: { Source: "s3" },
+    });
+    assertCommonHeaders();
+  });
+});
+
+describe("query tools", () => {
+  const endpoint = "/mcptest/Sales.iox/r/Dashboard/input/0/api/v1";
+
+  it("query_schema reads the data source schema", async () => {
+    const result = await call("query_schema", { endpoint });
+
+    assert.equal(result.fields.length, 2);
+    assert.deepEqual(sent(), [`GET ${endpoint}/schema`]);
+    assertCommonHeaders();
+  });
+
+  it("query_table posts a capped, filtered table query", async () => {
+    const result = await call("query_table", {
+      endpoint,
+      fields: ["Region", "Sales"],
+      filters: [{ field: "Region", values: ["EU"] }],
+      length: 10,
+    });
+
+    assert.equal(result.records.length, 2);
+    assert.equal(result.total, 2);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(sent(), [`POST ${endpoint}/table`]);
+    assertJsonRequest(0, {
+      range: { start: 0, length: 10 },
+      fields: ["Region", "Sales"],
+      filter: {
+        type: "AND",
+        filters: [
+          {
+            type: "FIELD_VALUE",
+            inputField: "Region",
+            operator: "IN",
+            value: ["EU"],
+          },
+        ],
+      },
+    });
+    assertCommonHeaders();
+  });
+
+  it("query_batch posts every named query in one request", async () => {
+    const result = await call("query_batch", {
+      endpoint,
+      queries: { regions: { group_by: "Region" }, rows: { length: 5 } },
+    });
+
+    assert.deepEqual(Object.keys(result.results), ["regions", "rows"]);
+    assert.deepEqual(sent(), [`POST ${endpoint}/batch`]);
+    assertJsonRequest(0, {
+      queries: {
+        regions: {
+          groupings: [{ inputField: "Region", type: "UNIQUE_VALUES", name: "Region" }],
+          // Two queries share the 200-row budget
+          range: { start: 0, length: 100 },
+        },
+        rows: { range: { start: 0, length: 5 } },
+      },
+    });
+    assertCommonHeaders();
+  });
+
+  it("query_table reports rows left out by the requested range", async () => {
+    const result = await call("query_table", { endpoint, length: 1 });
+
+    assert.deepEqual(result.records, [["EU", 10]]);
+    assert.equal(result.truncated, true);
+
+    const rest = await call("query_table", { endpoint, start: 1, length: 1 });
+    assert.equal(rest.truncated, false);
+  });
+
+  it("query_batch splits one row budget between its queries", async () => {
+    const queries = Object.fromEntries(
+      Array.from({ length: 8 }, (_, i) => [`q${i}`, {}]),
+    );
+    const result = await call("query_batch", { endpoint, queries });
+
+    // 200 rows (OMNI_QUERY_MAX_ROWS) over 8 queries
+    const ranges = Object.values((mock.requests[0].body as any).queries).map(
+      (q: any) => q.range.length,
+    );
+    assert.deepEqual(ranges, Array(8).fill(25));
+    assert.equal(Object.keys(result.results).length, 8);
+
+    const tooMany = Object.fromEntries(
+      Array.from({ length: 201 }, (_, i) => [`q${i}`, {}]),
+    );
+    assert.match(
+      await callError("query_batch", { endpoint, queries: tooMany }),
+      /at most 200 queries/,
+    );
+  });
+});
+
+describe("instance tools", () => {
+  it("list_instances describes the default instance without calling Omniscope", async () => {
+    const result = await call("list_instances");
+
+    assert.deepEqual(result, [
+      {
+        name: "default",
+        baseUrl: mock.baseUrl,
+        authType: "basic",
+        allowedPrefixes: ["/mcptest"],
+        allowedSchedulerTasks: [],
+        requestTimeoutMs: 15000,
+        isDefault: true,
+      },
+    ]);
+    assert.deepEqual(sent(), []);
+  });
+});
+
+describe("resources and prompts", () => {
+  const STAGING_AUTH = `Basic ${Buffer.from("staging-user:staging-pass").toString("base64")}`;
+  let multi: Client;
+
+  // A second instance on the same mock, told apart by its credentials
+  before(async () => {
+    const { createOmniscopeServer } = await import("../src/mcp-server.js");
+    const config: ServerConfig = {
+      ...serverConfig,
+      instances: {
+        ...serverConfig.instances,
+        staging: {
+          ...serverConfig.instances.default,
+          name: "staging",
+          auth: { type: "basic", username: "staging-user", password: "staging-pass" },
+        },
+      },
+    };
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createOmniscopeServer(config).connect(serverTransport);
+    multi = new Client({ name: "contract-tests-instances", version: "0.0.0" });
+    await multi.connect(clientTransport);
+  });
+  after(() => multi?.close());
+
+  it("project params resources read from the instance in their URI", async () => {
+    const read = await multi.readResource({
+      uri: "omniscope://instance/staging/project/mcptest/Sales.iox/params",
+    });
+    assert.equal(JSON.parse((read.contents[0] as { text: string }).text).paramValues.length, 4);
+    assert.deepEqual(sent(), ["GET /mcptest/Sales.iox/w/param"]);
+    assert.equal(mock.requests[0].headers.authorization, STAGING_AUTH);
+
+    mock.requests.length = 0;
+    await multi.readResource({ uri: "omniscope://project/mcptest/Sales.iox/params" });
+    assert.equal(mock.requests[0].headers.authorization, BASIC_AUTH);
+
+    await assert.rejects(
+      multi.readResource({ uri: "omniscope://instance/prod/project/mcptest/Sales.iox/params" }),
+      /Unknown Omniscope instance "prod"/,
+    );
+  });
+
+  it("prompts take an instance argument", async () => {
+    const prompt = await multi.getPrompt({
+      name: "explain_parameters",
+      arguments: { project_path: "/mcptest/Sales.iox", instance: "staging" },
+    });
+    const attached = prompt.messages[0].content as { resource: { uri: string } };
+    assert.equal(
+      attached.resource.uri,
+      "omniscope://instance/staging/project/mcptest/Sales.iox/params",
+    );
+    assert.equal(mock.requests[0].headers.authorization, STAGING_AUTH);
+
+    const run = await multi.getPrompt({
+      name: "run_workflow",
+      arguments: { project_path: "/mcptest/Sales.iox", instance: "staging" },
+    });
+    assert.match(
+      (run.messages[0].content as { text: string }).text,
+      /Pass instance: "staging" to every tool call/,
+    );
+  });
+});
+
+describe("config", () => {
+  it("refuses numeric settings that aren't whole numbers", async () => {
+    const { loadConfig } = await import("../src/config.js");
+    const saved = process.env.OMNI_QUERY_MAX_ROWS;
+    try {
+      for (const value of ["lots", "1.5", "0"]) {
+        process.env.OMNI_QUERY_MAX_ROWS = value;
+        assert.throws(
+          () => loadConfig(),
+          new RegExp(`OMNI_QUERY_MAX_ROWS must be a whole number of at least 1, got "${value}"`),
+        );
+      }
+    } finally {
+      if (saved === undefined) delete process.env.OMNI_QUERY_MAX_ROWS;
+      else process.env.OMNI_QUERY_MAX_ROWS = saved;
+    }
+  });
+});
+
+describe("permission policy", () => {
+  const report = "/mcptest/public/Report.iox";
+  let viewer: Client;
+
+  before(async () => {
+    viewer = await connectAs("viewer");
+  });
+  after(() => viewer?.close());
+  beforeEach(() => mock.parameters.set(report, []));
+
+  it("callers only get the operations granted on the prefix", async () => {
+    const params = await call("workflow_get_parameters", { project_path: report }, viewer);
+    assert.deepEqual(params.paramValues, []);
+    mock.requests.length = 0;
+
+    const denied = await callError("workflow_execute", { project_path: report }, viewer);
+    assert.match(denied, /Permission denied: user "viewer" is not allowed to "execute"/);
+
+    const elsewhere = await callError(
+      "workflow_get_parameters",
+      { project_path: "/mcptest/Sales.iox" },
+      viewer,
+    );
+    assert.match(elsewhere, /Permission denied/);
+    assert.deepEqual(sent(), []);
+  });
+
+  it("prefixes match whole path segments", async () => {
+    const error = await callError(
+      "workflow_get_parameters",
+      { project_path: "/mcptest/publicity/Report.iox" },
+      viewer,
+    );
+    assert.match(error, /Permission denied/);
+
+    const outside = await callError("workflow_execute", {
+      project_path: "/mcptestdata/Project.iox",
+    });
+    assert.match(outside, /is not allowed/);
+    assert.deepEqual(sent(), []);
+  });
+
+  it("dot segments can't climb out of a granted prefix", async () => {
+    for (const project_path of [
+      "/mcptest/public/../Sales.iox",
+      "/mcptest/public/%2e%2e/Sales.iox",
+      "/mcptest/public/./../Sales.iox",
+      "/mcptest/public//Report.iox",
+    ]) {
+      const error = await callError("workflow_get_parameters", { project_path }, viewer);
+      assert.match(error, /Invalid project path/, project_path);
+    }
+    assert.deepEqual(sent(), []);
+  });
+
+  it("rules naming an instance only apply on that instance", async () => {
+    const { authorizeProject, loadPolicy, requiresApproval } = await import(
+      "../src/policy.js"
+    );
+    const policyFile = path.join(tmpDir, "instance-policy.json");
+    fs.writeFileSync(
+      policyFile,
+      JSON.stringify({
+        users: {
+          bob: {
+            projects: [
+              { instance: "staging", prefix: "/mcptest", operations: ["execute"] },
+              { prefix: "/mcptest", operations: ["read"] },
+            ],
+          },
+        },
+        approvals: [{ instance: "default", prefix: "/mcptest", operations: ["execute"] }],
+        approvers: ["admin"],
+      }),
+    );
+    const config = {
+      defaultInstance: "default",
+      policy: loadPolicy(policyFile, ["default", "staging"]),
+    } as Parameters<typeof authorizeProject>[0];
+    const sales = "/mcptest/Sales.iox";
+
+    authorizeProject(config, "bob", sales, "execute", "staging");
+    authorizeProject(config, "bob", sales, "read");
+    assert.throws(
+      () => authorizeProject(config, "bob", sales, "execute"),
+      /not allowed to "execute" on "\/mcptest\/Sales.iox"$/,
+    );
+    assert.throws(
+      () => authorizeProject(config, "bob", sales, "execute", "default"),
+      /on instance "default"/,
+    );
+
+    assert.equal(requiresApproval(config, sales, "execute"), true);
+    assert.equal(requiresApproval(config, sales, "execute", "default"), true);
+    assert.equal(requiresApproval(config, sales, "execute", "staging"), false);
+
+    assert.throws(
+      () => loadPolicy(policyFile, ["default"]),
+      /unknown Omniscope instance "staging"/,
+    );
+  });
+});
+
+describe("quotas", () => {
+  it("a call over the rate limit returns a retry-after hint without calling Omniscope", async () => {
+    const args = { project_path: "/mcptest/sub/Forecast.iox" };
+    await call("workflow_execute_lambda", args);
+    await call("workflow_execute_lambda", args);
+    mock.requests.length = 0;
+
+    const rejection = JSON.parse(await callError("workflow_execute_lambda", args));
+
+    assert.equal(rejection.error, "RATE_LIMITED");
+    assert.equal(rejection.scope, "project");
+    assert.equal(rejection.limit, 2);
+    assert.ok(rejection.retryAfterSeconds >= 1 && rejection.retryAfterSeconds <= 60);
+    assert.ok(!sent().some((r) => r.endsWith("/w/lambdaexecute")));
+  });
+
+  it("the concurrent job cap holds until the job is seen finishing", async () => {
+    const args = {
+      project_path: "/mcptest/Sales.iox",
+      parameter_name: "InputFile",
+      file_name: "sales.csv",
+      content: "Region,Sales\nEU,10\n",
+      encoding: "text",
+    };
+    const { jobId } = await call("workflow_upload_and_execute", args);
+    mock.requests.length = 0;
+
+    // The running job is checked with Omniscope before refusing
+    const rejection = JSON.parse(await callError("workflow_upload_and_execute", args));
+    assert.equal(rejection.error, "TOO_MANY_RUNNING_JOBS");
+    assert.equal(rejection.scope, "user");
+    assert.equal(rejection.retryAfterSeconds, 30);
+    assert.deepEqual(sent(), [
+      "GET /mcptest/Sales.iox/w/param",
+      `GET /mcptest/Sales.iox/w/job/${jobId}/state`,
+    ]);
+
+    await finishJob("/mcptest/Sales.iox", jobId);
+    mock.requests.length = 0;
+
+    await call("workflow_upload_and_execute", args);
+    assert.deepEqual(sent(), [
+      "GET /mcptest/Sales.iox/w/param",
+      "POST /mcptest/Sales.iox/w/uploadandexecute",
+    ]);
+  });
+  it("another project's answer about a job id doesn't free its slot", async () => {
+    const args = {
+      project_path: "/mcptest/Sales.iox",
+      parameter_name: "InputFile",
+      file_name: "sales.csv",
+      content: "Region,Sales\nEU,10\n",
+      encoding: "text",
+    };
+    const { jobId } = await call("workflow_upload_and_execute", args);
+    const elsewhere = { project_path: "/mcptest/sub/Forecast.iox", job_id: jobId };
+
+    const state = await call("workflow_get_job_state", elsewhere);
+    assert.equal(state.errorType, "JOB_NOT_FOUND");
+
+    const rejection = JSON.parse(await callError("workflow_upload_and_execute", args));
+    assert.equal(rejection.error, "TOO_MANY_RUNNING_JOBS");
+
+    // The same project spelled with a trailing slash is the same job
+    await finishJob("/mcptest/Sales.iox/", jobId);
+    await call("workflow_upload_and_execute", args);
+  });
+
+  it("the concurrent job cap counts jobs started by other tools", async () => {
+    const { jobId } = await call("workflow_execute", { project_path: "/mcptest/Sales.iox" });
+
+    const rejection = JSON.parse(
+      await callError("workflow_upload_and_execute", {
+        project_path: "/mcptest/sub/Forecast.iox",
+        parameter_name: "InputFile",
+        file_name: "sales.csv",
+        content: "Region,Sales\nEU,10\n",
+        encoding: "text",
+      }),
+    );
+    assert.equal(rejection.error, "TOO_MANY_RUNNING_JOBS");
+    assert.equal(rejection.scope, "user");
+
+    await finishJob("/mcptest/Sales.iox", jobId);
+  });
+
+  it("a project's cap only counts its jobs on the same instance", async () => {
+    const { QuotaTracker } = await import("../src/quotas.js");
+    const tracker = new QuotaTracker({
+      tools: { "*": { perProject: { concurrentJobs: 1, windowSeconds: 60 } } },
+    });
+    const stillRunning = async () => true;
+    const run = { user: "alice", projectPath: "/mcptest/Sales.iox", instance: "default" };
+
+    const first = await tracker.acquire({ ...run, tool: "workflow_execute" }, stillRunning);
+    assert.ok("slot" in first);
+    first.slot.started("job-1");
+
+    const other = await tracker.acquire({ ...run, tool: "workflow_execute_lambda" }, stillRunning);
+    assert.ok("rejection" in other);
+    assert.equal(other.rejection.error, "TOO_MANY_RUNNING_JOBS");
+    assert.match(other.rejection.message, /Project "\/mcptest\/Sales.iox" on instance "default"/);
+
+    const staging = await tracker.acquire(
+      { ...run, tool: "workflow_execute", instance: "staging" },
+      stillRunning,
+    );
+    assert.ok("slot" in staging);
+  });
+});
+
+describe("approvals", () => {
+  const budget = { project_path: "/mcptest/finance/Budget.iox" };
+
+  // Tickets can only be decided where the /approvals page is served
+  before(async () => {
+    const { approvals } = await import("../src/approvals.js");
+    approvals.decisionsEnabled = true;
+  });
+  beforeEach(() => mock.parameters.set(budget.project_path, []));
+
+  it("an approved run executes once, on the first poll after approval", async () => {
+    const { approvals } = await import("../src/approvals.js");
+
+    const pending = await call("workflow_execute", { ...budget, blocks: ["Totals"] });
+    assert.equal(pending.status, "PENDING_APPROVAL");
+    assert.equal(pending.approvalUrl, `/approvals?ticket=${pending.ticketId}`);
+    assert.deepEqual(pending.preview.body, { blocks: ["Totals"] });
+    assert.deepEqual(sent(), []);
+
+    const waiting = await call("workflow_get_approval", { ticket_id: pending.ticketId });
+    assert.equal(waiting.status, "PENDING");
+    assert.equal(waiting.retryAfterSeconds, 30);
+
+    approvals.decide(pending.ticketId, "admin", true, "ok for today");
+
+    const executed = await call("workflow_get_approval", { ticket_id: pending.ticketId });
+    assert.equal(executed.status, "EXECUTED");
+    assert.equal(executed.decidedBy, "admin");
+    assert.deepEqual(executed.result, { jobId: "job-1" });
+    assert.deepEqual(sent(), ["POST /mcptest/finance/Budget.iox/w/execute"]);
+    assertJsonRequest(0, { blocks: ["Totals"] });
+
+    const again = await call("workflow_get_approval", { ticket_id: pending.ticketId });
+    assert.deepEqual(again.result, { jobId: "job-1" });
+    assert.equal(mock.requests.length, 1);
+  });
+
+  it("a rejected ticket never runs and can't be decided again", async () => {
+    const { approvals, ApprovalError } = await import("../src/approvals.js");
+
+    const pending = await call("workflow_execute_lambda", budget);
+    approvals.decide(pending.ticketId, "admin", false, "not during close");
+
+    const rejected = await call("workflow_get_approval", { ticket_id: pending.ticketId });
+    assert.equal(rejected.status, "REJECTED");
+    assert.match(rejected.message, /not during close/);
+    assert.ok(!sent().some((r) => r.endsWith("/w/lambdaexecute")));
+
+    assert.throws(
+      () => approvals.decide(pending.ticketId, "admin", true),
+      (err) => err instanceof ApprovalError && err.status === 409,
+    );
+  });
+
+  it("nobody approves their own request", async () => {
+    const { approvals, ApprovalError } = await import("../src/approvals.js");
+
+    const pending = await call("workflow_execute_lambda", budget);
+    assert.throws(
+      () => approvals.decide(pending.ticketId, "anonymous", true),
+      (err) => err instanceof ApprovalError && err.status === 403,
+    );
+    assert.equal(approvals.get(pending.ticketId)!.status, "PENDING");
+
+    approvals.decide(pending.ticketId, "anonymous", false, "changed my mind");
+    assert.equal(approvals.get(pending.ticketId)!.status, "REJECTED");
+  });
+
+  it("uploads on a lambda-gated prefix wait for approval too", async () => {
+    const { approvals } = await import("../src/approvals.js");
+    mock.parameters.set(budget.project_path, [
+      { name: "InputFile", type: "FILE", value: "data.csv" },
+    ]);
+
+    const pending = await call("workflow_upload_and_execute", {
+      ...budget,
+      parameter_name: "InputFile",
+      file_name: "budget.csv",
+      content: "Dept,Amount\nIT,10\n",
+      encoding: "text",
+    });
+    assert.equal(pending.status, "PENDING_APPROVAL");
+    assert.deepEqual(pending.preview.file, {
+      name: "budget.csv",
+      contentType: "text/csv",
+      size: 18,
+    });
+    const ticket = approvals.get(pending.ticketId)!;
+    assert.equal(ticket.operation, "upload");
+    assert.equal((ticket.args as { contentLength: number }).contentLength, 18);
+    assert.ok(!("content" in (ticket.args as object)));
+    assert.deepEqual(sent(), ["GET /mcptest/finance/Budget.iox/w/param"]);
+
+    approvals.decide(pending.ticketId, "admin", true);
+    const executed = await call("workflow_get_approval", { ticket_id: pending.ticketId });
+    assert.equal(executed.status, "EXECUTED");
+    assert.equal(sent().at(-1), "POST /mcptest/finance/Budget.iox/w/uploadandexecute");
+
+    await finishJob(budget.project_path, executed.result.jobId);
+  });
+
+  it("dot segments can't route around the approval gate", async () => {
+    for (const project_path of [
+      "/mcptest/./finance/Budget.iox",
+      "/mcptest/sub/../finance/Budget.iox",
+    ]) {
+      const error = await callError("workflow_execute", { project_path });
+      assert.match(error, /Invalid project path/, project_path);
+    }
+    assert.deepEqual(sent(), []);
+  });
+
+  it("dry runs and other prefixes don't need approval", async () => {
+    const dryRun = await call("workflow_execute", { ...budget, dry_run: true });
+    assert.equal(dryRun.dryRun, true);
+
+    const run = await call("workflow_execute", { project_path: "/mcptest/Sales.iox" });
+    assert.deepEqual(run, { jobId: "job-1" });
+
+    const error = await callError("workflow_get_approval", { ticket_id: "nope" });
+    assert.match(error, /Unknown approval ticket "nope"/);
+  });
+});
+
+describe("audit log", () => {
+  it("redacts secret keys, secret-named parameter values and long strings", async () => {
+    const { redact } = await import("../src/audit.js");
+
+    const redacted = redact({
+      project_path: "/mcptest/Sales.iox",
+      password: "hunter2",
+      headers: { Authorization: "Basic abc" },
+      updates: [
+        { name: "DB password", value: "hunter2" },
+        { name: "api_key", value: ["k1", "k2"] },
+        { name: "Region", value: "EU" },
+      ],
+      params: { "Service token": "t0k3n", Threshold: 5 },
+      content: "x".repeat(2000),
+    });
+
+    assert.deepEqual(redacted, {
+      project_path: "/mcptest/Sales.iox",
+      password: "[REDACTED]",
+      headers: { Authorization: "[REDACTED]" },
+      updates: [
+        { name: "DB password", value: "[REDACTED]" },
+        { name: "api_key", value: "[REDACTED]" },
+        { name: "Region", value: "EU" },
+      ],
+      params: { "Service token": "[REDACTED]", Threshold: 5 },
+      content: "[2000 chars omitted]",
+    });
+  });
+
+  it("rotates by size and keeps the configured number of files", async () => {
+    const { AuditLog } = await import("../src/audit.js");
+    const dir = fs.mkdtempSync(path.join(tmpDir, "audit-"));
+    const file = path.join(dir, "audit.jsonl");
+
+    const entry = (n: number) => ({
+      ts: new Date(0).toISOString(),
+      user: "anonymous",
+      tool: `tool_${n}`,
+      args: {},
+      outcome: "ok" as const,
+      durationMs: 1,
+      requests: [],
+    });
+    const lineBytes = JSON.stringify(entry(0)).length + 1;
+
+    // Two entries fit in a file, so the first two fall off the end
+    const log = new AuditLog(file, lineBytes * 2, 2);
+    for (let n = 1; n <= 7; n++) log.write(entry(n));
+
+    const tools = (name: string) =>
+      fs
+        .readFileSync(path.join(dir, name), "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line).tool);
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      "audit.1.jsonl",
+      "audit.2.jsonl",
+      "audit.jsonl",
+    ]);
+    assert.deepEqual(tools("audit.jsonl"), ["tool_7"]);
+    assert.deepEqual(tools("audit.1.jsonl"), ["tool_5", "tool_6"]);
+    assert.deepEqual(tools("audit.2.jsonl"), ["tool_3", "tool_4"]);
+  });
+});
+
+describe("metrics and readiness", () => {
+  it("metrics count tool calls by outcome and time Omniscope requests", async () => {
+    const { renderMetrics } = await import("../src/metrics.js");
+
+    await call("workflow_get_parameters", { project_path: "/mcptest/Sales.iox" });
+    await callError("workflow_get_parameters", { project_path: "/other/Project.iox" });
+
+    const text = renderMetrics();
+    assert.match(text, /^# TYPE mcp_tool_calls_total counter$/m);
+    assert.match(
+      text,
+      /^mcp_tool_calls_total\{tool="workflow_get_parameters",outcome="ok"\} \d+$/m,
+    );
+    assert.match(
+      text,
+      /^mcp_tool_calls_total\{tool="workflow_get_parameters",outcome="error"\} \d+$/m,
+    );
+    assert.match(
+      text,
+      /^omniscope_request_duration_seconds_count\{instance="default",api="Workflow API",method="GET",status="200"\} \d+$/m,
+    );
+    assert.match(text, /^# TYPE mcp_inflight_jobs gauge$/m);
+  });
+
+  it("readiness reads the health check project with the configured credentials", async () => {
+    const { checkReadiness } = await import("../src/health.js");
+    const { loadConfig } = await import("../src/config.js");
+    process.env.OMNI_HEALTHCHECK_PROJECT_PATH = "/mcptest/Sales.iox";
+
+    const result = await checkReadiness(loadConfig());
+
+    assert.equal(result.ready, true);
+    assert.equal(result.httpStatus, 200);
+    assert.deepEqual(sent(), ["GET /mcptest/Sales.iox/w/param"]);
+    assertCommonHeaders();
+  });
+
+  it("readiness is never reported without a health check project", async () => {
+    const { checkReadiness } = await import("../src/health.js");
+    const { loadConfig } = await import("../src/config.js");
+    delete process.env.OMNI_HEALTHCHECK_PROJECT_PATH;
+
+    const result = await checkReadiness(loadConfig());
+
+    assert.equal(result.ready, false);
+    assert.match(result.error ?? "", /OMNI_HEALTHCHECK_PROJECT_PATH is not configured/);
+    assert.deepEqual(sent(), []);
+  });
+});
+
+describe("stdio entry point", () => {
+  it("serves the tools over stdio with config from a file and logs only to files", async () => {
+    const dir = fs.mkdtempSync(path.join(tmpDir, "stdio-"));
+    const configFile = path.join(dir, "omniscope.json");
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        OMNI_BASE_URL: mock.baseUrl,
+        OMNI_BASIC_USERNAME: "omni-user",
+        OMNI_BASIC_PASSWORD: "omni-pass",
+        OMNI_ALLOWED_PROJECT_PREFIXES: "/mcptest",
+        OMNI_RETRY_MAX_ATTEMPTS: 1,
+        MCP_POLICY_FILE: path.join(tmpDir, "policy.json"),
+      }),
+    );
+
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: [
+        path.resolve("node_modules/tsx/dist/cli.mjs"),
+        path.resolve("src/stdio.ts"),
+        "--config",
+        configFile,
+      ],
+      env: getDefaultEnvironment(),
+      cwd: dir,
+      stderr: "pipe",
+    });
+    const protocolErrors: Error[] = [];
+    transport.onerror = (err) => protocolErrors.push(err);
+
+    const stdioClient = new Client({ name: "stdio-test", version: "0.0.0" });
+    await stdioClient.connect(transport);
+    try {
+      const result = (await stdioClient.callTool({
+        name: "workflow_get_parameters",
+        arguments: { project_path: "/mcptest/Sales.iox" },
+      })) as { isError?: boolean; content: Array<{ text: string }> };
+
+      assert.ok(!result.isError, result.content[0]?.text);
+      assert.equal(JSON.parse(result.content[0].text).paramValues.length, 4);
+      assert.deepEqual(sent(), ["GET /mcptest/Sales.iox/w/param"]);
+      assertCommonHeaders();
+
+      // No approval page over stdio, so gated calls fail instead of waiting
+      const gated = (await stdioClient.callTool({
+        name: "workflow_execute",
+        arguments: { project_path: "/mcptest/finance/Budget.iox" },
+      })) as { isError?: boolean; content: Array<{ text: string }> };
+      assert.equal(gated.isError, true);
+      assert.match(gated.content[0].text, /needs approval, but this server has no \/approvals page/);
+      assert.equal(mock.requests.length, 1);
+    } finally {
+      await stdioClient.close();
+    }
+
+    // Anything but JSON-RPC on stdout would have surfaced as a parse error
+    assert.deepEqual(protocolErrors, []);
+    const stdoutLog = fs.readFileSync(path.join(dir, "logs", "stdout.log"), "utf8");
+    assert.match(stdoutLog, /\[CONFIG\] Loaded server config/);
+    assert.ok(fs.existsSync(path.join(dir, "logs", "audit.jsonl")));
+  });
+});
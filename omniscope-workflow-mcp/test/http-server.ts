@@ -0,0 +1,111 @@
+/**
+ * http-server.ts
+ *
+ * Runs src/server.ts in a child process for the HTTP-level tests, with
+ * helpers to post JSON-RPC messages to its /mcp endpoint.
+ */
+
+import { ChildProcess, spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { LATEST_PROTOCOL_VERSION } from "@modelcontextprotocol/sdk/types.js";
+
+export interface HttpServer {
+  url: string;
+  close(): Promise<void>;
+}
+
+/** Env every server starts with; Omniscope itself is never contacted. */
+const BASE_ENV = {
+  OMNI_BASE_URL: "http://127.0.0.1:9",
+  OMNI_ALLOWED_PROJECT_PREFIXES: "/mcptest",
+  MCP_LOG_TOOLS: "false",
+};
+
+async function freePort() {
+  return new Promise<number>((resolve) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address() as net.AddressInfo;
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts src/server.ts on a free port with `env`, in a temporary working
+ * directory (for its logs), and waits until it answers.
+ */
+export async function startHttpServer(env: Record<string, string>): Promise<HttpServer> {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "omni-mcp-http-"));
+
+  const child: ChildProcess = spawn(
+    process.execPath,
+    [path.resolve("node_modules/tsx/dist/cli.mjs"), path.resolve("src/server.ts")],
+    {
+      cwd: dir,
+      env: { ...process.env, ...BASE_ENV, PORT: String(port), ...env },
+      stdio: "ignore",
+    },
+  );
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  const url = `http://127.0.0.1:${port}`;
+
+  const close = async () => {
+    if (child.exitCode === null) child.kill("SIGTERM");
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  // Any HTTP answer means the server is listening
+  for (let waited = 0; ; waited += 100) {
+    const up = await fetch(url).then(
+      (res) => res.text().then(() => true),
+      () => false,
+    );
+    if (up) break;
+    if (waited > 15000 || child.exitCode !== null) {
+      await close();
+      throw new Error("The HTTP server did not start");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  return { url, close };
+}
+
+export const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: {
+    protocolVersion: LATEST_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: "http-tests", version: "0.0.0" },
+  },
+};
+
+export const LIST_TOOLS = { jsonrpc: "2.0", id: 2, method: "tools/list" };
+
+/** Posts a JSON-RPC message to `path` (default /mcp) and reads the whole response. */
+export async function postMcp(
+  url: string,
+  message: unknown,
+  headers: Record<string, string> = {},
+  path = "/mcp",
+) {
+  const res = await fetch(`${url}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      ...headers,
+    },
+    body: JSON.stringify(message),
+  });
+  return { status: res.status, headers: res.headers, text: await res.text() };
+}
+
+export const bearer = (token: string) => ({ Authorization: `Bearer ${token}` });
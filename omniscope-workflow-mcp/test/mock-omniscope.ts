@@ -0,0 +1,319 @@
+/**
+ * mock-omniscope.ts
+ *
+ * In-process mock of the Omniscope REST APIs the MCP tools call, for the
+ * contract tests. It records every request (method, path, headers, parsed
+ * body) and implements just enough behaviour to look like Omniscope:
+ *   - Workflow API: param, updateparams, execute, lambdaexecute,
+ *     uploadandexecute and job state. Jobs move QUEUED -> RUNNING ->
+ *     COMPLETED, one step per state poll,
+ *   - Scheduler API under /_admin_/scheduler/api/v1,
+ *   - Project API under {folder}/_api_/v1,
+ *   - Query API under {endpoint}/api/v1.
+ */
+
+import http, { IncomingHttpHeaders } from "node:http";
+import { AddressInfo } from "node:net";
+
+export interface RecordedRequest {
+  method: string;
+  /** Decoded path without the query string, e.g. "/mcptest/Sales.iox/w/param". */
+  path: string;
+  headers: IncomingHttpHeaders;
+  /** Parsed JSON, raw text, multipart fields/files, or undefined without a body. */
+  body: unknown;
+}
+
+export interface MockParameter {
+  name: string;
+  type: string;
+  value?: unknown;
+  required?: boolean;
+  allowedValues?: unknown[];
+}
+
+export interface UploadedFile {
+  name: string;
+  type: string;
+  text: string;
+}
+
+type JobState = "QUEUED" | "RUNNING" | "COMPLETED" | "FAILED";
+
+interface MockJob {
+  jobId: string;
+  projectPath: string;
+  state: JobState;
+  /** States the job moves through, one per state poll. */
+  upcoming: JobState[];
+}
+
+export interface MockOmniscope {
+  baseUrl: string;
+  requests: RecordedRequest[];
+  /** Parameters per project path; edit to shape a test's project. */
+  parameters: Map<string, MockParameter[]>;
+  /**
+   * Answers the next `times` (default 1) requests whose path matches with
+   * HTTP `status` instead of handling them, e.g. to simulate an outage.
+   */
+  failNext(path: string | RegExp, status: number, times?: number): void;
+  /** Forgets recorded requests, jobs and pending failures, and restores the default parameters. */
+  reset(): void;
+  close(): Promise<void>;
+}
+
+const SCHEDULER_PREFIX = "/_admin_/scheduler/api/v1";
+
+/** Parameters every project starts with. */
+const defaultParameters = (): MockParameter[] => [
+  { name: "Region", type: "TEXT", value: "EU", allowedValues: ["EU", "US"] },
+  { name: "Threshold", type: "NUMBER", value: 10 },
+  { name: "IncludeArchived", type: "BOOLEAN", value: false },
+  { name: "InputFile", type: "FILE", value: "data.csv" },
+];
+
+const DEFAULT_PROJECTS = ["/mcptest/Sales.iox", "/mcptest/sub/Forecast.iox"];
+
+async function readBody(req: http.IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) chunks.push(chunk as Buffer);
+  if (!chunks.length) return undefined;
+
+  const buf = Buffer.concat(chunks);
+  const contentType = req.headers["content-type"] ?? "";
+
+  if (contentType.startsWith("multipart/form-data")) {
+    const form = await new Request("http://mock/", {
+      method: "POST",
+      headers: { "content-type": contentType },
+      body: buf,
+    }).formData();
+
+    const fields: Record<string, string> = {};
+    const files: Record<string, UploadedFile> = {};
+    const entries: Array<[string, FormDataEntryValue]> = [];
+    form.forEach((value, key) => entries.push([key, value]));
+
+    for (const [key, value] of entries) {
+      if (typeof value === "string") fields[key] = value;
+      else
+        files[key] = { name: value.name, type: value.type, text: await value.text() };
+    }
+    return { fields, files };
+  }
+
+  const text = buf.toString("utf8");
+  if (contentType.includes("json")) return JSON.parse(text);
+  return text;
+}
+
+/**
+ * Starts the mock on a random local port.
+ */
+export async function startMockOmniscope(): Promise<MockOmniscope> {
+  const requests: RecordedRequest[] = [];
+  const parameters = new Map<string, MockParameter[]>();
+  const jobs = new Map<string, MockJob>();
+  const schedulerJobs = new Map<string, { jobId: string; taskName: string; state: string }>();
+  const failures: Array<{ path: string | RegExp; status: number; times: number }> = [];
+  let nextId = 1;
+
+  const reset = () => {
+    requests.length = 0;
+    nextId = 1;
+    failures.length = 0;
+    jobs.clear();
+    schedulerJobs.clear();
+    parameters.clear();
+    DEFAULT_PROJECTS.forEach((p) => parameters.set(p, defaultParameters()));
+  };
+  reset();
+
+  const startJob = (projectPath: string) => {
+    const job: MockJob = {
+      jobId: `job-${nextId++}`,
+      projectPath,
+      state: "QUEUED",
+      upcoming: ["RUNNING", "COMPLETED"],
+    };
+    jobs.set(job.jobId, job);
+    return job;
+  };
+
+  const handleWorkflow = (
+    method: string,
+    projectPath: string,
+    route: string,
+    body: any,
+  ): [number, unknown] => {
+    const params = parameters.get(projectPath);
+    if (!params) return [404, { errorMessage: `No project ${projectPath}` }];
+
+    if (method === "GET" && route === "param") return [200, { paramValues: params }];
+
+    if (method === "GET" && route.startsWith("param/")) {
+      const p = params.find((x) => x.name === route.slice("param/".length));
+      return p ? [200, p] : [404, { errorMessage: "Unknown parameter" }];
+    }
+
+    if (method === "POST" && route === "updateparams") {
+      for (const u of body?.updates ?? []) {
+        const p = params.find((x) => x.name === u.name);
+        if (!p) return [400, { errorMessage: `Unknown parameter ${u.name}` }];
+        p.value = u.value;
+      }
+      return [200, {}];
+    }
+
+    if (method === "POST" && route === "execute") {
+      return [200, { jobId: startJob(projectPath).jobId }];
+    }
+
+    if (method === "POST" && (route === "lambdaexecute" || route === "uploadandexecute")) {
+      const job = startJob(projectPath);
+      return [
+        200,
+        {
+          jobId: job.jobId,
+          lambdaProjectPath: projectPath.replace(/\.iox$/, `_lambda_${job.jobId}.iox`),
+        },
+      ];
+    }
+
+    const jobMatch = route.match(/^job\/([^/]+)\/state$/);
+    if (method === "GET" && jobMatch) {
+      // Job ids only resolve within the project that started the job
+      const job = jobs.get(jobMatch[1]);
+      if (!job || job.projectPath !== projectPath)
+        return [200, { errorType: "JOB_NOT_FOUND", errorMessage: "Job not found" }];
+
+      const response = { jobState: job.state };
+      job.state = job.upcoming.shift() ?? job.state;
+      return [200, response];
+    }
+
+    return [404, { errorMessage: `No route ${method} ${route}` }];
+  };
+
+  const handleScheduler = (method: string, route: string): [number, unknown] => {
+    if (method === "GET" && route === "/all/") return [200, [...schedulerJobs.values()]];
+
+    const task = route.match(/^\/task\/([^/]+)\/execute\/$/);
+    if (method === "POST" && task) {
+      const jobId = `sched-${nextId++}`;
+      schedulerJobs.set(jobId, { jobId, taskName: task[1], state: "RUNNING" });
+      return [200, jobId];
+    }
+
+    const job = route.match(/^\/job\/([^/]+)\/$/);
+    if (job) {
+      const found = schedulerJobs.get(job[1]);
+      if (!found) return [404, { errorMessage: "Job not found" }];
+      if (method === "GET") return [200, found];
+      if (method === "DELETE") {
+        found.state = "CANCELLED";
+        return [200, ""];
+      }
+    }
+
+    return [404, { errorMessage: `No route ${method} ${route}` }];
+  };
+
+  const handleProject = (
+    method: string,
+    path: string,
+    route: string,
+    body: any,
+  ): [number, unknown] => {
+    if (method === "POST" && route === "create") {
+      const projectPath = `${path}/${body?.name}.iox`;
+      parameters.set(projectPath, defaultParameters());
+      return [200, { name: body?.name, path: projectPath }];
+    }
+
+    return [404, { errorMessage: `No route ${method} ${route}` }];
+  };
+
+  const handleQuery = (method: string, route: string, body: any): [number, unknown] => {
+    const schema = { fields: [{ name: "Region", type: "TEXT" }, { name: "Sales", type: "NUMBER" }] };
+    const records = [
+      ["EU", 10],
+      ["US", 20],
+    ];
+    // Rows in the query's range, with the total the data source holds
+    const table = (query: any) => {
+      const start = query?.range?.start ?? 0;
+      const length = query?.range?.length ?? records.length;
+      return { schema, records: records.slice(start, start + length), total: records.length };
+    };
+
+    if (method === "GET" && route === "schema") return [200, schema];
+    if (method === "POST" && route === "table") return [200, table(body)];
+    if (method === "POST" && route === "batch") {
+      const results: Record<string, unknown> = {};
+      Object.entries(body?.queries ?? {}).forEach(([key, query]) => {
+        results[key] = table(query);
+      });
+      return [200, { results }];
+    }
+    return [404, { errorMessage: `No route ${method} ${route}` }];
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const method = req.method ?? "GET";
+    const path = decodeURIComponent(new URL(req.url ?? "/", "http://mock").pathname);
+    const body = await readBody(req);
+    requests.push({ method, path, headers: req.headers, body });
+
+    let status: number;
+    let payload: unknown;
+    let match: RegExpMatchArray | null;
+    const failure = failures.find((f) =>
+      typeof f.path === "string" ? f.path === path : f.path.test(path),
+    );
+
+    if (failure) {
+      if (--failure.times === 0) failures.splice(failures.indexOf(failure), 1);
+      [status, payload] = [failure.status, { errorMessage: "Injected failure" }];
+    } else if (path.startsWith(SCHEDULER_PREFIX)) {
+      [status, payload] = handleScheduler(method, path.slice(SCHEDULER_PREFIX.length));
+    } else if ((match = path.match(/^(.*\.iox)\/w\/(.+)$/))) {
+      [status, payload] = handleWorkflow(method, match[1], match[2], body);
+    } else if ((match = path.match(/^(.*?)\/_api_\/v1\/([a-z]+)$/))) {
+      [status, payload] = handleProject(method, match[1] || "/", match[2], body);
+    } else if ((match = path.match(/^(.*\/api\/v1)\/(schema|table|batch)$/))) {
+      [status, payload] = handleQuery(method, match[2], body);
+    } else {
+      [status, payload] = [404, { errorMessage: `No route ${method} ${path}` }];
+    }
+
+    res.statusCode = status;
+    if (typeof payload === "string") {
+      res.setHeader("Content-Type", "text/plain");
+      res.end(payload);
+    } else {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(payload));
+    }
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    parameters,
+    failNext: (path, status, times = 1) => {
+      failures.push({ path, status, times });
+    },
+    reset,
+    close: () =>
+      new Promise<void>((resolve, reject) => {
+        server.close((err) => (err ? reject(err) : resolve()));
+        // fetch keeps connections alive; don't wait for them to time out
+        server.closeAllConnections();
+      }),
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * Retry and circuit breaker tests: a WorkflowClient talks to a local HTTP
+ * server that answers with injected errors before it starts to succeed.
+ *
+ * Run with `npm test`.
+ */
+
+import assert from "node:assert/strict";
+import http from "node:http";
+import { AddressInfo } from "node:net";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { loadConfig } from "../src/config.js";
+import { CircuitOpenError } from "../src/apis/resilience.js";
+import { createWorkflowClient } from "../src/apis/workflow/workflow-client.js";
+
+const PROJECT = "/mcptest/Sales.iox";
+const STATE = `${PROJECT}/w/job/job-1/state`;
+const EXECUTE = `${PROJECT}/w/execute`;
+
+/**
+ * Answers job state and execute requests, after answering the next
+ * `failNext(status, times)` requests with that status ("reset" drops the
+ * connection instead).
+ */
+async function startFlakyServer() {
+  const requests: string[] = [];
+  const failures: Array<number | "reset"> = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    req.resume();
+
+    const status = failures.shift();
+    res.setHeader("Content-Type", "application/json");
+    if (status === "reset") {
+      req.socket.destroy();
+    } else if (status) {
+      res.statusCode = status;
+      res.end(JSON.stringify({ errorMessage: "Injected failure" }));
+    } else {
+      res.end(JSON.stringify(req.method === "POST" ? { jobId: "job-1" } : { jobState: "COMPLETED" }));
+    }
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    failNext: (status: number | "reset", times = 1) => {
+      for (let i = 0; i < times; i++) failures.push(status);
+    },
+    close: () =>
+      new Promise<void>((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      }),
+  };
+}
+
+describe("retries and circuit breaker", () => {
+  // A server of its own per test: circuit breakers are shared per base URL
+  let flaky: Awaited<ReturnType<typeof startFlakyServer>>;
+  beforeEach(async () => {
+    flaky = await startFlakyServer();
+  });
+  afterEach(() => flaky.close());
+
+  function clientFor(overrides: {
+    retry?: { maxAttempts: number; baseDelayMs: number; maxDelayMs: number };
+    circuitBreaker?: { failureThreshold: number; resetMs: number };
+  }) {
+    return createWorkflowClient({
+      ...loadConfig(),
+      baseUrl: flaky.baseUrl,
+      retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 },
+      circuitBreaker: { failureThreshold: 10, resetMs: 60_000 },
+      ...overrides,
+    });
+  }
+
+  it("retries reads after gateway errors", async () => {
+    const client = clientFor({});
+    flaky.failNext(503, 2);
+
+    const state = await client.getJobState(PROJECT, "job-1");
+
+    assert.equal(state.jobState, "COMPLETED");
+    assert.deepEqual(flaky.requests, [`GET ${STATE}`, `GET ${STATE}`, `GET ${STATE}`]);
+  });
+
+  it("gives up after the last attempt and doesn't retry other errors", async () => {
+    const client = clientFor({});
+
+    flaky.failNext(502, 3);
+    await assert.rejects(
+      client.getJobState(PROJECT, "job-1"),
+      /Workflow API error \(502\).*\(after 3 attempts\)/,
+    );
+    assert.equal(flaky.requests.length, 3);
+
+    flaky.requests.length = 0;
+    flaky.failNext(500);
+    await assert.rejects(client.getJobState(PROJECT, "job-1"), /Workflow API error \(500\)/);
+    assert.equal(flaky.requests.length, 1);
+  });
+
+  it("retries dropped connections but not other TypeErrors", async () => {
+    flaky.failNext("reset");
+    const state = await clientFor({}).getJobState(PROJECT, "job-1");
+    assert.equal(state.jobState, "COMPLETED");
+    assert.equal(flaky.requests.length, 2);
+
+    // An unparseable URL is a TypeError too, but retrying can't fix it
+    const broken = createWorkflowClient({
+      ...loadConfig(),
+      baseUrl: "http://127.0.0.1:99999",
+      retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 },
+    });
+    await assert.rejects(
+      broken.getJobState(PROJECT, "job-1"),
+      (err) => err instanceof TypeError && !/attempts/.test(err.message),
+    );
+  });
+
+  it("never repeats a POST that reached Omniscope", async () => {
+    const client = clientFor({});
+    flaky.failNext(503);
+
+    await assert.rejects(
+      Promise.resolve(client.executeWorkflow({ projectPath: PROJECT })),
+      /Workflow API error \(503\)/,
+    );
+    assert.deepEqual(flaky.requests, [`POST ${EXECUTE}`]);
+  });
+
+  it("opens the circuit after consecutive failures and closes it after a good probe", async () => {
+    const client = clientFor({
+      retry: { maxAttempts: 1, baseDelayMs: 1, maxDelayMs: 1 },
+      circuitBreaker: { failureThreshold: 2, resetMs: 100 },
+    });
+    const read = () => client.getJobState(PROJECT, "job-1");
+
+    flaky.failNext(504, 2);
+    await assert.rejects(read(), /\(504\)/);
+    await assert.rejects(read(), /\(504\)/);
+
+    // Open: fails fast without contacting Omniscope
+    await assert.rejects(read(), (err) => err instanceof CircuitOpenError);
+    assert.equal(flaky.requests.length, 2);
+
+    // After the cool-down one probe goes through and closes the circuit
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    assert.equal((await read()).jobState, "COMPLETED");
+    assert.equal((await read()).jobState, "COMPLETED");
+    assert.equal(flaky.requests.length, 4);
+  });
+});
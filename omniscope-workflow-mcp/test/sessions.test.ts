@@ -0,0 +1,117 @@
+/**
+ * HTTP session tests: session limits, DELETE and idle expiry of a
+ * src/server.ts started per test.
+ *
+ * Run with `npm test`.
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, before, describe, it } from "node:test";
+
+import { hashToken } from "../src/auth.js";
+import {
+  bearer,
+  HttpServer,
+  INITIALIZE,
+  LIST_TOOLS,
+  postMcp,
+  startHttpServer,
+} from "./http-server.js";
+
+describe("HTTP sessions", () => {
+  let tmpDir: string;
+  let tokensFile: string;
+  let http: HttpServer | undefined;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "omni-mcp-sessions-"));
+    tokensFile = path.join(tmpDir, "tokens.json");
+    fs.writeFileSync(
+      tokensFile,
+      JSON.stringify({
+        tokens: ["alice", "bob"].map((user) => ({
+          id: user,
+          user,
+          sha256: hashToken(`omcp_${user}`),
+        })),
+      }),
+    );
+  });
+  afterEach(async () => {
+    await http?.close();
+    http = undefined;
+  });
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  const start = async (env: Record<string, string> = {}) =>
+    (http = await startHttpServer({
+      MCP_TOKENS_FILE: tokensFile,
+      MCP_MAX_SESSIONS: "3",
+      MCP_MAX_SESSIONS_PER_USER: "2",
+      ...env,
+    }));
+
+  const open = async (url: string, user: string) => {
+    const res = await postMcp(url, INITIALIZE, bearer(`omcp_${user}`));
+    return { status: res.status, id: res.headers.get("mcp-session-id") };
+  };
+
+  const health = async (url: string) => (await (await fetch(`${url}/health`)).json()).sessions;
+
+  it("limits open sessions per user and overall", async () => {
+    const { url } = await start();
+
+    assert.equal((await open(url, "alice")).status, 200);
+    assert.equal((await open(url, "alice")).status, 200);
+    assert.equal((await open(url, "alice")).status, 429);
+    assert.equal((await open(url, "bob")).status, 200);
+    assert.equal((await open(url, "bob")).status, 503);
+
+    const stats = await health(url);
+    assert.equal(stats.active, 3);
+    assert.equal(stats.users, 2);
+    assert.ok(!JSON.stringify(stats).includes("alice"));
+  });
+
+  it("DELETE closes a session and frees its slot", async () => {
+    const { url } = await start({ MCP_MAX_SESSIONS_PER_USER: "1" });
+    const { id } = await open(url, "alice");
+    const session = { ...bearer("omcp_alice"), "mcp-session-id": id! };
+
+    const closed = await fetch(`${url}/mcp`, { method: "DELETE", headers: session });
+    await closed.text();
+    assert.equal(closed.status, 200);
+
+    const gone = await postMcp(url, LIST_TOOLS, session);
+    assert.equal(gone.status, 400);
+    assert.match(gone.text, /No valid session/);
+    assert.equal((await health(url)).active, 0);
+    assert.equal((await open(url, "alice")).status, 200);
+  });
+
+  it("sessions expire after the idle timeout unless they are used", async () => {
+    const { url } = await start({
+      MCP_SESSION_IDLE_TIMEOUT_MS: "1000",
+      MCP_SESSION_SWEEP_INTERVAL_MS: "100",
+    });
+    const idle = await open(url, "alice");
+    const kept = await open(url, "bob");
+    const keptSession = { ...bearer("omcp_bob"), "mcp-session-id": kept.id! };
+
+    // Bob's session stays in use; Alice's goes idle
+    for (let i = 0; i < 4; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      assert.equal((await postMcp(url, LIST_TOOLS, keptSession)).status, 200);
+    }
+
+    const expired = await postMcp(url, LIST_TOOLS, {
+      ...bearer("omcp_alice"),
+      "mcp-session-id": idle.id!,
+    });
+    assert.equal(expired.status, 400);
+    assert.equal((await health(url)).active, 1);
+  });
+});
@@ -0,0 +1,243 @@
+// Batch mode: parameter sets to run one after another, and their results grid.
+//
+// Parameter sets are given either as CSV with a header row of parameter names
+//   Region,Month
+//   EU,2024-01
+//   US,2024-01
+// or as a JSON array of objects: [{ "Region": "EU", "Month": "2024-01" }, …].
+// CSV cells and JSON strings are converted to the parameter's type (NUMBER,
+// BOOLEAN, DATE); other JSON values must already have it. List parameters
+// take CSV values separated by "|", or a JSON array. Empty cells are left out
+// of the set, so the parameter keeps whatever value it has when the set runs.
+
+// --- Parsing ---
+
+// Minimal RFC 4180 parser: quoted fields may hold commas, quotes ("") and
+// line breaks. Returns rows of trimmed cells, without blank lines.
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(cell.trim())
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(cell.trim())
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  if (quoted) throw new Error('CSV has an unterminated quoted value')
+  row.push(cell.trim())
+  rows.push(row)
+
+  return rows.filter((r) => r.some((c) => c !== ''))
+}
+
+function coerceCell(param, text, where) {
+  if (param.type === 'NUMBER') {
+    const num = Number(text)
+    if (text === '' || !Number.isFinite(num)) {
+      throw new Error(`${where}: "${text}" is not a number`)
+    }
+    return num
+  }
+  if (param.type === 'BOOLEAN') {
+    if (text.toLowerCase() === 'true') return true
+    if (text.toLowerCase() === 'false') return false
+    throw new Error(`${where}: "${text}" is not true or false`)
+  }
+  if (param.type === 'DATE' && Number.isNaN(Date.parse(text))) {
+    throw new Error(`${where}: "${text}" is not a date`)
+  }
+  return text
+}
+
+// A JSON value: strings are converted like CSV cells, numbers and booleans
+// are only taken by parameters of that type (epoch millis for DATE)
+function coerceJsonItem(param, value, where) {
+  if (typeof value === 'string') return coerceCell(param, value, where)
+
+  const fits =
+    typeof value === 'boolean'
+      ? param.type === 'BOOLEAN'
+      : typeof value === 'number' &&
+        Number.isFinite(value) &&
+        (param.type === 'NUMBER' || param.type === 'DATE')
+  if (!fits) {
+    throw new Error(
+      `${where}: ${JSON.stringify(value)} is not a ${param.type} value`
+    )
+  }
+  return value
+}
+
+function coerceJsonValue(param, value, where) {
+  const isList = Array.isArray(param.value)
+  if (isList !== Array.isArray(value)) {
+    throw new Error(
+      `${where}: expected ${isList ? 'a list of values' : 'a single value'}`
+    )
+  }
+  return isList
+    ? value.map((item) => coerceJsonItem(param, item, where))
+    : coerceJsonItem(param, value, where)
+}
+
+function describeSet(values) {
+  return Object.entries(values)
+    .map(
+      ([name, value]) =>
+        `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`
+    )
+    .join(', ')
+}
+
+/**
+ * Parses CSV or JSON parameter sets for the project's parameters
+ * (`paramValues` of GET /param). Returns [{ label, values }]; throws on
+ * unknown or repeated parameters and on values that don't fit their type.
+ */
+export function parseParameterSets(text, params) {
+  const byName = new Map(params.map((p) => [p.name, p]))
+  const checkName = (name, where) => {
+    if (!byName.has(name)) {
+      throw new Error(
+        `${where}: unknown parameter "${name}" (known: ${
+          params.map((p) => p.name).join(', ') || 'none'
+        })`
+      )
+    }
+  }
+
+  const trimmed = text.trim()
+  if (!trimmed) throw new Error('Enter at least one parameter set')
+
+  let sets
+  if (trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed)
+    sets = parsed.map((values, i) => {
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Set ${i + 1}: expected an object of parameter values`)
+      }
+      const coerced = {}
+      Object.entries(values).forEach(([name, value]) => {
+        checkName(name, `Set ${i + 1}`)
+        coerced[name] = coerceJsonValue(
+          byName.get(name),
+          value,
+          `Set ${i + 1}, ${name}`
+        )
+      })
+      return coerced
+    })
+  } else {
+    const [header, ...rows] = parseCsv(trimmed)
+    header.forEach((name, c) => {
+      checkName(name, 'Header')
+      if (header.indexOf(name) !== c) {
+        throw new Error(`Header: column "${name}" appears more than once`)
+      }
+    })
+
+    sets = rows.map((cells, r) => {
+      const where = `Row ${r + 2}`
+      if (cells.length > header.length) {
+        throw new Error(`${where}: more values than columns`)
+      }
+
+      const values = {}
+      header.forEach((name, c) => {
+        const cell = cells[c] ?? ''
+        if (cell === '') return
+
+        const param = byName.get(name)
+        const column = `${where}, ${name}`
+        values[name] = Array.isArray(param.value)
+          ? cell.split('|').map((item) => coerceCell(param, item.trim(), column))
+          : coerceCell(param, cell, column)
+      })
+      return values
+    })
+  }
+
+  if (!sets.length) throw new Error('Enter at least one parameter set')
+  return sets.map((values) => ({
+    label: describeSet(values) || '(no changes)',
+    values,
+  }))
+}
+
+// --- Results grid ---
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return ''
+  const seconds = ms / 1000
+  if (seconds < 60) return `${seconds.toFixed(1)} s`
+  return `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`
+}
+
+/**
+ * Renders the runs ({ label, status, jobId, durationMs, message }) as a
+ * table into `container`.
+ */
+export function renderBatchResults(container, runs) {
+  const table = document.createElement('table')
+  table.className = 'batch-results'
+
+  const head = table.createTHead().insertRow()
+  ;['#', 'Parameters', 'Job', 'State', 'Duration', 'Message'].forEach(
+    (text) => {
+      const th = document.createElement('th')
+      th.textContent = text
+      head.appendChild(th)
+    }
+  )
+
+  const body = table.createTBody()
+  runs.forEach((run, i) => {
+    const tr = body.insertRow()
+    tr.className = `batch-${run.status.toLowerCase()}`
+    ;[
+      String(i + 1),
+      run.label,
+      run.jobId || '',
+      run.status,
+      formatDuration(run.durationMs),
+      run.message || '',
+    ].forEach((text) => {
+      tr.insertCell().textContent = text
+    })
+  })
+
+  const counts = {}
+  runs.forEach((run) => {
+    counts[run.status] = (counts[run.status] || 0) + 1
+  })
+  const summary = document.createElement('p')
+  summary.className = 'help-text'
+  summary.textContent = Object.entries(counts)
+    .map(([status, count]) => `${count} ${status.toLowerCase()}`)
+    .join(', ')
+
+  container.replaceChildren(summary, table)
+}
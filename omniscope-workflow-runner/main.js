@@ -1,4 +1,19 @@
 import './style.css'
+import { createParamEditor } from './param-editors.js'
+import {
+  deletePreset,
+  diffPreset,
+  exportPresets,
+  getPreset,
+  importPresets,
+  listPresets,
+  savePreset,
+} from './presets.js'
+import {
+  formatDuration,
+  parseParameterSets,
+  renderBatchResults,
+} from './batch.js'
 
 // --- DOM references ---
 const logOutput = document.getElementById('logOutput')
@@ -6,13 +21,45 @@ const projectPathInput = document.getElementById('projectPath')
 const loadParamsBtn = document.getElementById('loadParamsBtn')
 const updateParamsBtn = document.getElementById('updateParamsBtn')
 const executeWorkflowBtn = document.getElementById('executeWorkflowBtn')
+const refreshFromSourceInput = document.getElementById('refreshFromSourceInput')
+const cancelExistingInput = document.getElementById('cancelExistingInput')
 const paramsContainer = document.getElementById('paramsContainer')
+const presetNameInput = document.getElementById('presetNameInput')
+const savePresetBtn = document.getElementById('savePresetBtn')
+const presetSelect = document.getElementById('presetSelect')
+const loadPresetBtn = document.getElementById('loadPresetBtn')
+const diffPresetBtn = document.getElementById('diffPresetBtn')
+const applyPresetBtn = document.getElementById('applyPresetBtn')
+const deletePresetBtn = document.getElementById('deletePresetBtn')
+const exportPresetsBtn = document.getElementById('exportPresetsBtn')
+const importPresetsInput = document.getElementById('importPresetsInput')
+const presetDiff = document.getElementById('presetDiff')
+const batchInput = document.getElementById('batchInput')
+const stopOnFailureInput = document.getElementById('stopOnFailureInput')
+const runBatchBtn = document.getElementById('runBatchBtn')
+const retryFailedBtn = document.getElementById('retryFailedBtn')
+const stopBatchBtn = document.getElementById('stopBatchBtn')
+const batchResults = document.getElementById('batchResults')
 
 // Track which project / job we’re working with
 let currentProjectPath = null
 let currentJobId = null
 let jobPollTimer = null
 
+// Parameters of the loaded project (GET /param) and their editors
+// (see param-editors.js)
+let currentParams = []
+let paramEditors = []
+
+// Runs of the last batch (see batch.js) and whether one is in progress
+let batchRuns = []
+let batchRunning = false
+let batchStopRequested = false
+
+const JOB_POLL_INTERVAL_MS = 2000
+// Failed state polls in a row before a batch run gives up on its job
+const MAX_JOB_POLL_ERRORS = 5
+
 // --- Logging ---
 
 function log(message, type = 'info') {
@@ -68,6 +115,9 @@ async function apiPost(url, body) {
 // --- Render parameters ---
 
 function renderParams(paramValues) {
+  currentParams = paramValues || []
+  paramEditors = []
+
   if (!paramValues || paramValues.length === 0) {
     paramsContainer.innerHTML = '<p>No parameters found.</p>'
     return
@@ -76,29 +126,41 @@ function renderParams(paramValues) {
   paramsContainer.innerHTML = ''
 
   paramValues.forEach((param) => {
-    const row = document.createElement('div')
-    row.className = 'param-row'
-
-    const value =
-      param.value !== undefined && param.value !== null ? param.value : ''
-
-    row.innerHTML = `
-      <label class="field">
-        <span><strong>${param.name}</strong> (${param.type})</span>
-        <input
-          class="param-input"
-          data-param-name="${param.name}"
-          value="${String(value)}"
-        />
-      </label>
-    `
-
-    paramsContainer.appendChild(row)
+    const editor = createParamEditor(param)
+    paramEditors.push(editor)
+    paramsContainer.appendChild(editor.element)
   })
 }
 
+// Validates every editor; logs and returns the problems found
+function validateParams() {
+  const problems = paramEditors
+    .map((editor) => ({ name: editor.name, message: editor.validate() }))
+    .filter((p) => p.message)
+
+  problems.forEach((p) => log(`Parameter "${p.name}": ${p.message}`, 'error'))
+  return problems
+}
+
 // --- Job polling ---
 
+function isJobFinished(data) {
+  return (
+    data.jobState === 'COMPLETED' ||
+    data.jobState === 'FAILED' ||
+    data.jobState === 'CANCELLED' ||
+    data.errorType === 'JOB_NOT_FOUND'
+  )
+}
+
+// e.g. "refreshFromSource=true, cancelExisting=false"
+function describeExecutionOptions(body) {
+  return (
+    `refreshFromSource=${body.refreshFromSource}, ` +
+    `cancelExisting=${body.cancelExisting}`
+  )
+}
+
 function clearJobPolling() {
   if (jobPollTimer) {
     clearInterval(jobPollTimer)
@@ -107,7 +169,8 @@ function clearJobPolling() {
   currentJobId = null
 }
 
-function startJobPolling(apiBase, jobId) {
+// `request` is the execute request body, reported with the final state
+function startJobPolling(apiBase, jobId, request) {
   clearJobPolling()
   currentJobId = jobId
 
@@ -128,16 +191,12 @@ function startJobPolling(apiBase, jobId) {
       )
 
       // Terminal states
-      if (
-        state === 'COMPLETED' ||
-        state === 'FAILED' ||
-        state === 'CANCELLED' ||
-        errorType === 'JOB_NOT_FOUND'
-      ) {
+      if (isJobFinished(data)) {
         clearJobPolling()
         log(
           `Job ${jobId} finished with state: ${state}` +
-            (errorType ? ` (errorType=${errorType})` : ''),
+            (errorType ? ` (errorType=${errorType})` : '') +
+            `\nExecution options: ${describeExecutionOptions(request)}`,
           state === 'COMPLETED' ? 'success' : 'error'
         )
         executeWorkflowBtn.disabled = false
@@ -153,68 +212,54 @@ function startJobPolling(apiBase, jobId) {
 
   // Poll immediately, then every 2 seconds
   poll()
-  jobPollTimer = setInterval(poll, 2000)
+  jobPollTimer = setInterval(poll, JOB_POLL_INTERVAL_MS)
 }
 
-// --- Event handlers ---
-
-// 1) Load parameters
-loadParamsBtn.addEventListener('click', async () => {
-  const projectPath = projectPathInput.value.trim()
+// Polls a job until it finishes and resolves to its last state response.
+// onState(data) sees every poll. Used by batch runs, which wait in turn.
+// A failed poll is retried; it rejects after MAX_JOB_POLL_ERRORS in a row.
+async function waitForJob(apiBase, jobId, onState) {
+  const jobUrl = `${apiBase}/job/${encodeURIComponent(jobId)}/state`
+  let errors = 0
 
-  if (!projectPath) {
-    log('Please enter a project path.', 'error')
-    return
+  for (;;) {
+    try {
+      const data = await apiGet(jobUrl)
+      errors = 0
+      onState(data)
+      if (isJobFinished(data)) return data
+    } catch (err) {
+      if (++errors >= MAX_JOB_POLL_ERRORS) throw err
+      log(
+        `Error polling job ${jobId} (${errors} of ${MAX_JOB_POLL_ERRORS}), retrying: ${err.message}`,
+        'error'
+      )
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS))
   }
+}
 
-  const apiBase = buildWorkflowUrl(projectPath)
-  const paramsUrl = `${apiBase}/param`
-
-  log(`Loading parameters from: ${paramsUrl}`)
-
-  loadParamsBtn.disabled = true
-  updateParamsBtn.disabled = true
-  executeWorkflowBtn.disabled = true
-
-  try {
-    const data = await apiGet(paramsUrl)
-    renderParams(data.paramValues || [])
-
-    currentProjectPath = projectPath
-
-    updateParamsBtn.disabled = false
-    executeWorkflowBtn.disabled = false
-
-    log(
-      `Loaded ${
-        data.paramValues ? data.paramValues.length : 0
-      } parameters for project "${projectPath}".`,
-      'success'
-    )
-  } catch (err) {
-    log(`Error loading parameters: ${err.message}`, 'error')
-    paramsContainer.innerHTML =
-      '<p class="error">Failed to load parameters. See log for details.</p>'
-  } finally {
-    loadParamsBtn.disabled = false
-  }
-})
+// --- Update / execute ---
 
-// 2) Update parameters
-updateParamsBtn.addEventListener('click', async () => {
+// Sends the form's parameter values; resolves to true on success
+async function updateParameters() {
   if (!currentProjectPath) {
     log('No project loaded. Load parameters first.', 'error')
-    return
+    return false
   }
 
   const apiBase = buildWorkflowUrl(currentProjectPath)
   const updateUrl = `${apiBase}/updateparams`
 
-  const inputs = paramsContainer.querySelectorAll('.param-input')
-  const updates = Array.from(inputs).map((input) => ({
-    name: input.dataset.paramName,
-    value: input.value, // send as string; Omniscope will coerce
-  }))
+  if (validateParams().length) {
+    log('Fix the highlighted parameters before updating.', 'error')
+    return false
+  }
+
+  // Empty NUMBER / DATE fields have no value to send and stay unchanged
+  const updates = paramEditors
+    .map((editor) => ({ name: editor.name, value: editor.getValue() }))
+    .filter((update) => update.value !== undefined)
 
   const body = {
     updates,
@@ -235,40 +280,44 @@ updateParamsBtn.addEventListener('click', async () => {
 
     if (response.status === 'SUCCESS') {
       log('Parameters updated successfully.', 'success')
-    } else {
-      log(
-        `Parameter update failed. status=${response.status}, errorType=${response.errorType}, errorMessage=${response.errorMessage}`,
-        'error'
-      )
+      return true
     }
+    log(
+      `Parameter update failed. status=${response.status}, errorType=${response.errorType}, errorMessage=${response.errorMessage}`,
+      'error'
+    )
+    return false
   } catch (err) {
     log(`Error updating parameters: ${err.message}`, 'error')
+    return false
   } finally {
     updateParamsBtn.disabled = false
   }
-})
+}
 
-// 3) Execute workflow
-executeWorkflowBtn.addEventListener('click', async () => {
+// ExecuteWorkflowRequest:
+// - empty blocks = run all
+// - refreshFromSource / cancelExisting from the option checkboxes
+// - waitForIdle = true
+function buildExecuteRequest() {
+  return {
+    blocks: [],
+    refreshFromSource: refreshFromSourceInput.checked,
+    cancelExisting: cancelExistingInput.checked,
+    waitForIdle: true,
+  }
+}
+
+// Starts the workflow and polls the job; resolves to the jobId or null
+async function executeWorkflow() {
   if (!currentProjectPath) {
     log('No project loaded. Load parameters first.', 'error')
-    return
+    return null
   }
 
   const apiBase = buildWorkflowUrl(currentProjectPath)
   const executeUrl = `${apiBase}/execute`
-
-  // Minimal ExecuteWorkflowRequest:
-  // - empty blocks = run all
-  // - don't refresh from source
-  // - don't cancel existing
-  // - waitForIdle = true
-  const body = {
-    blocks: [],
-    refreshFromSource: false,
-    cancelExisting: false,
-    waitForIdle: true,
-  }
+  const body = buildExecuteRequest()
 
   log(
     `Triggering workflow execution via: ${executeUrl}\nRequest body: ${JSON.stringify(
@@ -291,16 +340,458 @@ executeWorkflowBtn.addEventListener('click', async () => {
       )
       executeWorkflowBtn.disabled = false
       updateParamsBtn.disabled = false
-      return
+      return null
     }
 
     log(`Workflow execution started. jobId=${response.jobId}`, 'success')
 
     // Start polling job state
-    startJobPolling(apiBase, response.jobId)
+    startJobPolling(apiBase, response.jobId, body)
+    return response.jobId
   } catch (err) {
     log(`Error executing workflow: ${err.message}`, 'error')
     executeWorkflowBtn.disabled = false
     updateParamsBtn.disabled = false
+    return null
+  }
+}
+
+// --- Presets ---
+
+function refreshPresetList() {
+  const names = currentProjectPath ? listPresets(currentProjectPath) : []
+  const previous = presetSelect.value
+
+  presetSelect.replaceChildren(
+    ...names.map((name) => new Option(name, name))
+  )
+  if (names.includes(previous)) presetSelect.value = previous
+  if (!names.length) presetSelect.add(new Option('(no presets)', ''))
+
+  const none = !names.length
+  loadPresetBtn.disabled = none
+  diffPresetBtn.disabled = none
+  applyPresetBtn.disabled = none
+  deletePresetBtn.disabled = none
+  savePresetBtn.disabled = !currentProjectPath
+}
+
+function selectedPreset() {
+  const name = presetSelect.value
+  const preset = name && getPreset(currentProjectPath, name)
+  if (!preset) log('Select a preset first.', 'error')
+  return preset ? { name, ...preset } : null
+}
+
+// Puts a preset's values into the editors; false if a value doesn't fit
+function loadPresetIntoForm(preset) {
+  const editorsByName = new Map(paramEditors.map((e) => [e.name, e]))
+
+  Object.entries(preset.values).forEach(([name, value]) => {
+    const editor = editorsByName.get(name)
+    if (editor) {
+      editor.setValue(value)
+    } else {
+      log(
+        `Preset "${preset.name}": project has no parameter "${name}", skipped.`,
+        'error'
+      )
+    }
+  })
+
+  log(`Loaded preset "${preset.name}" into the form.`, 'success')
+  return validateParams().length === 0
+}
+
+const formatPresetValue = (value) =>
+  value === undefined
+    ? '—'
+    : typeof value === 'string'
+      ? value
+      : JSON.stringify(value)
+
+function renderPresetDiff(preset, rows) {
+  const table = document.createElement('table')
+  table.className = 'preset-diff'
+
+  const head = table.createTHead().insertRow()
+  ;['Parameter', 'Project value', `Preset "${preset.name}"`, ''].forEach(
+    (text) => {
+      const th = document.createElement('th')
+      th.textContent = text
+      head.appendChild(th)
+    }
+  )
+
+  const body = table.createTBody()
+  rows.forEach((row) => {
+    const tr = body.insertRow()
+    tr.className = `diff-${row.status.replace(' ', '-')}`
+    ;[
+      row.name,
+      formatPresetValue(row.current),
+      formatPresetValue(row.preset),
+      row.status,
+    ].forEach((text) => {
+      tr.insertCell().textContent = text
+    })
+  })
+
+  const changed = rows.filter((r) => r.status === 'changed').length
+  const summary = document.createElement('p')
+  summary.className = 'help-text'
+  summary.textContent = `${changed} parameter(s) differ from the project's current values.`
+
+  presetDiff.replaceChildren(summary, table)
+}
+
+// --- Batch ---
+
+const isRetryable = (run) =>
+  run.status === 'FAILED' ||
+  run.status === 'CANCELLED' ||
+  run.status === 'SKIPPED'
+
+function resetRun(run, status) {
+  Object.assign(run, { status, jobId: null, durationMs: null, message: '' })
+}
+
+function setBatchRunning(running) {
+  batchRunning = running
+  runBatchBtn.disabled = running || !currentProjectPath
+  retryFailedBtn.disabled = running || !batchRuns.some(isRetryable)
+  stopBatchBtn.disabled = !running
+  loadParamsBtn.disabled = running
+  updateParamsBtn.disabled = running
+  executeWorkflowBtn.disabled = running
+  applyPresetBtn.disabled = running || !presetSelect.value
+}
+
+// Updates the parameters of one set, executes and waits for the job
+async function runBatchEntry(run, apiBase, request) {
+  const render = () => renderBatchResults(batchResults, batchRuns)
+  resetRun(run, 'UPDATING')
+  render()
+
+  try {
+    const updates = Object.entries(run.values).map(([name, value]) => ({
+      name,
+      value,
+    }))
+    if (updates.length) {
+      const updated = await apiPost(`${apiBase}/updateparams`, {
+        updates,
+        waitForIdle: true,
+      })
+      if (updated.status !== 'SUCCESS') {
+        run.status = 'FAILED'
+        run.message = `Parameter update failed: ${updated.errorType} – ${updated.errorMessage}`
+        return
+      }
+    }
+
+    const started = Date.now()
+    const response = await apiPost(`${apiBase}/execute`, request)
+    if (!response.jobId) {
+      run.status = 'FAILED'
+      run.message = `Execution not started: ${response.errorType} – ${response.errorMessage}`
+      return
+    }
+
+    run.jobId = response.jobId
+
+    let final
+    try {
+      final = await waitForJob(apiBase, run.jobId, (data) => {
+        run.status = data.jobState || 'UNKNOWN'
+        run.durationMs = Date.now() - started
+        render()
+      })
+    } catch (err) {
+      // The job may still be running
+      run.status = 'UNKNOWN'
+      run.message = `Lost track of the job: ${err.message}`
+      return
+    }
+
+    run.status = final.errorType === 'JOB_NOT_FOUND' ? 'FAILED' : final.jobState
+    run.message = [final.errorType, final.errorMessage]
+      .filter(Boolean)
+      .join(' – ')
+  } catch (err) {
+    run.status = 'FAILED'
+    run.message = err.message
+  } finally {
+    render()
+  }
+}
+
+// Runs the given entries of batchRuns one after another
+async function runBatch(runs) {
+  const apiBase = buildWorkflowUrl(currentProjectPath)
+  const request = buildExecuteRequest()
+
+  batchStopRequested = false
+  runs.forEach((run) => resetRun(run, 'PENDING'))
+  renderBatchResults(batchResults, batchRuns)
+  setBatchRunning(true)
+
+  log(
+    `Batch: running ${runs.length} parameter set(s) on "${currentProjectPath}".` +
+      `\nExecution options: ${describeExecutionOptions(request)}`
+  )
+
+  for (const [i, run] of runs.entries()) {
+    if (batchStopRequested) {
+      log('Batch stopped.', 'error')
+      break
+    }
+
+    await runBatchEntry(run, apiBase, request)
+    log(
+      `Batch run ${i + 1}/${runs.length} (${run.label}): ${run.status}` +
+        (run.jobId ? `, jobId=${run.jobId}` : '') +
+        (run.durationMs !== null ? `, ${formatDuration(run.durationMs)}` : '') +
+        (run.message ? ` – ${run.message}` : ''),
+      run.status === 'COMPLETED' ? 'success' : 'error'
+    )
+
+    // Don't start the next job on top of one that may still be running
+    if (run.status === 'UNKNOWN') {
+      log("Batch stopped: the last run's job state is unknown.", 'error')
+      break
+    }
+    if (run.status !== 'COMPLETED' && stopOnFailureInput.checked) {
+      log('Batch stopped after a failed run (stop on failure).', 'error')
+      break
+    }
+  }
+
+  runs
+    .filter((run) => run.status === 'PENDING')
+    .forEach((run) => {
+      run.status = 'SKIPPED'
+    })
+  renderBatchResults(batchResults, batchRuns)
+  setBatchRunning(false)
+
+  const completed = runs.filter((run) => run.status === 'COMPLETED').length
+  log(
+    `Batch finished: ${completed} of ${runs.length} run(s) completed.`,
+    completed === runs.length ? 'success' : 'error'
+  )
+}
+
+// --- Event handlers ---
+
+// 1) Load parameters
+loadParamsBtn.addEventListener('click', async () => {
+  const projectPath = projectPathInput.value.trim()
+
+  if (!projectPath) {
+    log('Please enter a project path.', 'error')
+    return
+  }
+
+  const apiBase = buildWorkflowUrl(projectPath)
+  const paramsUrl = `${apiBase}/param`
+
+  log(`Loading parameters from: ${paramsUrl}`)
+
+  loadParamsBtn.disabled = true
+  updateParamsBtn.disabled = true
+  executeWorkflowBtn.disabled = true
+
+  try {
+    const data = await apiGet(paramsUrl)
+    renderParams(data.paramValues || [])
+
+    currentProjectPath = projectPath
+
+    updateParamsBtn.disabled = false
+    executeWorkflowBtn.disabled = false
+
+    presetDiff.replaceChildren()
+    refreshPresetList()
+
+    batchRuns = []
+    batchResults.replaceChildren()
+    runBatchBtn.disabled = false
+    retryFailedBtn.disabled = true
+
+    log(
+      `Loaded ${
+        data.paramValues ? data.paramValues.length : 0
+      } parameters for project "${projectPath}".`,
+      'success'
+    )
+  } catch (err) {
+    log(`Error loading parameters: ${err.message}`, 'error')
+    paramsContainer.innerHTML =
+      '<p class="error">Failed to load parameters. See log for details.</p>'
+  } finally {
+    loadParamsBtn.disabled = false
+  }
+})
+
+// 2) Update parameters
+updateParamsBtn.addEventListener('click', () => updateParameters())
+
+// 3) Execute workflow
+executeWorkflowBtn.addEventListener('click', () => executeWorkflow())
+
+// 4) Presets
+savePresetBtn.addEventListener('click', () => {
+  const name = presetNameInput.value.trim()
+  if (!currentProjectPath) {
+    log('No project loaded. Load parameters first.', 'error')
+    return
+  }
+  if (!name) {
+    log('Enter a name for the preset.', 'error')
+    return
+  }
+  if (validateParams().length) {
+    log('Fix the highlighted parameters before saving a preset.', 'error')
+    return
+  }
+
+  const values = {}
+  paramEditors.forEach((editor) => {
+    const value = editor.getValue()
+    if (value !== undefined) values[editor.name] = value
+  })
+
+  const replaced = listPresets(currentProjectPath).includes(name)
+  savePreset(currentProjectPath, name, values)
+  refreshPresetList()
+  presetSelect.value = name
+  log(
+    `${replaced ? 'Replaced' : 'Saved'} preset "${name}" with ${
+      Object.keys(values).length
+    } parameter value(s).`,
+    'success'
+  )
+})
+
+loadPresetBtn.addEventListener('click', () => {
+  const preset = selectedPreset()
+  if (preset) loadPresetIntoForm(preset)
+})
+
+diffPresetBtn.addEventListener('click', async () => {
+  const preset = selectedPreset()
+  if (!preset) return
+
+  // Compare with what the project holds now, not with the form
+  const paramsUrl = `${buildWorkflowUrl(currentProjectPath)}/param`
+  try {
+    const data = await apiGet(paramsUrl)
+    renderPresetDiff(preset, diffPreset(preset.values, data.paramValues || []))
+  } catch (err) {
+    log(`Error loading current parameters: ${err.message}`, 'error')
+  }
+})
+
+applyPresetBtn.addEventListener('click', async () => {
+  const preset = selectedPreset()
+  if (!preset) return
+
+  if (!loadPresetIntoForm(preset)) {
+    log(`Preset "${preset.name}" has invalid values; nothing was run.`, 'error')
+    return
+  }
+
+  applyPresetBtn.disabled = true
+  try {
+    if (await updateParameters()) {
+      log(`Executing with preset "${preset.name}".`)
+      await executeWorkflow()
+    }
+  } finally {
+    applyPresetBtn.disabled = false
   }
 })
+
+deletePresetBtn.addEventListener('click', () => {
+  const preset = selectedPreset()
+  if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return
+
+  deletePreset(currentProjectPath, preset.name)
+  presetDiff.replaceChildren()
+  refreshPresetList()
+  log(`Deleted preset "${preset.name}".`)
+})
+
+exportPresetsBtn.addEventListener('click', () => {
+  const blob = new Blob([exportPresets()], { type: 'application/json' })
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = 'workflow-runner-presets.json'
+  link.click()
+  URL.revokeObjectURL(link.href)
+  log('Exported presets to workflow-runner-presets.json.')
+})
+
+importPresetsInput.addEventListener('change', async () => {
+  const file = importPresetsInput.files[0]
+  importPresetsInput.value = ''
+  if (!file) return
+
+  try {
+    const count = importPresets(await file.text())
+    refreshPresetList()
+    log(`Imported ${count} preset(s) from ${file.name}.`, 'success')
+  } catch (err) {
+    log(`Error importing presets from ${file.name}: ${err.message}`, 'error')
+  }
+})
+
+// 5) Batch
+
+// A batch would lose track of the job the single run is polling
+function jobBeingPolled() {
+  if (!jobPollTimer) return false
+  log(
+    `Job ${currentJobId} is still running. Wait for it to finish before starting a batch.`,
+    'error'
+  )
+  return true
+}
+
+runBatchBtn.addEventListener('click', () => {
+  if (!currentProjectPath) {
+    log('No project loaded. Load parameters first.', 'error')
+    return
+  }
+  if (jobBeingPolled()) return
+
+  let sets
+  try {
+    sets = parseParameterSets(batchInput.value, currentParams)
+  } catch (err) {
+    log(`Invalid batch input: ${err.message}`, 'error')
+    return
+  }
+
+  batchRuns = sets.map((set) => ({ ...set, status: 'PENDING' }))
+  runBatch(batchRuns)
+})
+
+retryFailedBtn.addEventListener('click', () => {
+  const runs = batchRuns.filter(isRetryable)
+  if (!runs.length) {
+    log('No failed batch runs to retry.', 'error')
+    return
+  }
+  if (jobBeingPolled()) return
+  log(`Batch: retrying ${runs.length} failed or skipped run(s).`)
+  runBatch(runs)
+})
+
+stopBatchBtn.addEventListener('click', () => {
+  if (!batchRunning) return
+  batchStopRequested = true
+  stopBatchBtn.disabled = true
+  log('Batch will stop after the current run.')
+})
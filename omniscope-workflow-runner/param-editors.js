@@ -0,0 +1,364 @@
+// Type-aware editors for Omniscope workflow parameters.
+//
+// createParamEditor() turns one `paramValues` entry of GET /param into a form
+// row with an editor that matches the parameter:
+//   - allowed values         → dropdown (multi-select for list parameters)
+//   - BOOLEAN                → toggle
+//   - NUMBER                 → numeric input
+//   - DATE                   → date (or date + time) picker
+//   - FILE / FOLDER          → path input
+//   - list parameters        → one value per line
+//   - TEXT and anything else → text input
+//
+// Names and values only reach the DOM through textContent and element
+// properties, never through innerHTML.
+
+// --- Helpers ---
+
+function createElement(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function allowedValuesOf(param) {
+  const list = param.allowedValues ?? param.options
+  return Array.isArray(list) && list.length > 0 ? list : null
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  )
+}
+
+// Returns an error message when a single value doesn't fit the parameter type
+function checkValue(type, value) {
+  switch (type) {
+    case 'NUMBER':
+      return typeof value === 'number' && Number.isFinite(value)
+        ? ''
+        : `"${formatValue(value)}" is not a number`
+    case 'BOOLEAN':
+      return typeof value === 'boolean'
+        ? ''
+        : `"${formatValue(value)}" is not true or false`
+    case 'DATE':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+        ? ''
+        : `"${formatValue(value)}" is not a date`
+    case 'FILE':
+    case 'FOLDER':
+      return typeof value === 'string' && value.trim() !== ''
+        ? ''
+        : `Enter a ${type.toLowerCase()} path`
+    default:
+      return ''
+  }
+}
+
+// Converts one line of a list editor to the parameter's value type. DATE
+// lines that are whole numbers become epoch millis again when the list held
+// epoch millis to begin with
+function parseListItem(type, text, epoch) {
+  if (type === 'NUMBER') return text === '' ? NaN : Number(text)
+  if (type === 'BOOLEAN') {
+    if (text.toLowerCase() === 'true') return true
+    if (text.toLowerCase() === 'false') return false
+  }
+  if (type === 'DATE' && epoch && /^-?\d+$/.test(text)) return Number(text)
+  return text
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// Date → value of a datetime-local input (local time, second precision)
+function toLocalDateTime(date) {
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  )
+}
+
+// --- Editors ---
+// Each returns { control, getValue, setValue, inputError?, untouched? }.
+// getValue() returns undefined for a field that can't be sent as-is: an
+// empty field, or one left showing a value it can't represent. untouched()
+// tells the latter apart, since the current value then stays as it is.
+
+function createSelectEditor(param, allowed, multiple) {
+  const select = createElement('select')
+  select.multiple = multiple
+
+  if (!multiple) {
+    // Lets the field start out (or be left) without a value
+    select.add(new Option(param.required ? '— choose —' : '(no value)', ''))
+  }
+  allowed.forEach((value, i) => {
+    select.add(new Option(formatValue(value), String(i)))
+  })
+
+  const indexOf = (value) => allowed.findIndex((a) => a === value)
+  const selection = () =>
+    Array.from(select.selectedOptions, (o) => o.value).join(',')
+
+  // A current value that isn't one of the allowed values can't be selected;
+  // until the user picks something it is left as it is rather than cleared
+  let unmatched = false
+  let shownAs = ''
+  const untouched = () => unmatched && selection() === shownAs
+
+  return {
+    control: select,
+    untouched,
+    getValue() {
+      if (untouched()) return undefined
+      if (multiple) {
+        return Array.from(select.selectedOptions).map(
+          (o) => allowed[Number(o.value)]
+        )
+      }
+      return select.value === '' ? '' : allowed[Number(select.value)]
+    },
+    setValue(value) {
+      const values = Array.isArray(value) ? value : isEmpty(value) ? [] : [value]
+      if (multiple) {
+        Array.from(select.options).forEach((o) => {
+          o.selected = values.some((v) => indexOf(v) === Number(o.value))
+        })
+      } else {
+        const i = indexOf(values[0])
+        select.value = i >= 0 ? String(i) : ''
+      }
+      unmatched = values.some((v) => v !== null && indexOf(v) < 0)
+      shownAs = selection()
+    },
+  }
+}
+
+function createToggleEditor() {
+  const input = createElement('input')
+  input.type = 'checkbox'
+  input.setAttribute('role', 'switch')
+
+  const toggle = createElement('span', 'toggle')
+  const state = createElement('span', 'toggle-state')
+  toggle.append(input, state)
+
+  const showState = () => {
+    state.textContent = input.checked ? 'true' : 'false'
+  }
+  input.addEventListener('change', showState)
+
+  return {
+    control: toggle,
+    input,
+    getValue: () => input.checked,
+    setValue(value) {
+      input.checked = value === true || value === 'true'
+      showState()
+    },
+  }
+}
+
+function createNumberEditor() {
+  const input = createElement('input')
+  input.type = 'number'
+  input.step = 'any'
+
+  return {
+    control: input,
+    getValue: () => (input.value === '' ? undefined : Number(input.value)),
+    setValue(value) {
+      input.value = formatValue(value)
+    },
+    // The browser empties the value of unparseable input
+    inputError: () => (input.validity.badInput ? 'Enter a valid number' : ''),
+  }
+}
+
+function createDateEditor(param) {
+  // Keep the shape of the current value: epoch millis or an ISO string with
+  // a time become date + time, a plain "YYYY-MM-DD" stays a date
+  const epoch = typeof param.value === 'number'
+  const withTime =
+    epoch || (typeof param.value === 'string' && param.value.includes('T'))
+
+  const input = createElement('input')
+  input.type = withTime ? 'datetime-local' : 'date'
+  // Show seconds; the default step of 60 drops them
+  if (withTime) input.step = '1'
+
+  // The picker can't show milliseconds, so a value the user hasn't touched
+  // is returned exactly as it was set
+  let setTo
+  let shownAs = ''
+
+  return {
+    control: input,
+    getValue() {
+      if (input.value === '') return undefined
+      if (input.value === shownAs) return setTo
+      if (!withTime) return input.value
+      const date = new Date(input.value)
+      return epoch ? date.getTime() : date.toISOString()
+    },
+    setValue(value) {
+      const date = new Date(value ?? NaN)
+      if (value === '' || Number.isNaN(date.getTime())) {
+        input.value = ''
+      } else {
+        input.value = withTime
+          ? toLocalDateTime(date)
+          : String(value).slice(0, 10)
+      }
+      setTo = value
+      shownAs = input.value
+    },
+    inputError: () => (input.validity.badInput ? 'Enter a valid date' : ''),
+  }
+}
+
+function createTextEditor() {
+  const input = createElement('input')
+  input.type = 'text'
+
+  return {
+    control: input,
+    getValue: () => input.value,
+    setValue(value) {
+      input.value = formatValue(value)
+    },
+  }
+}
+
+function createPathEditor(param) {
+  const editor = createTextEditor()
+  editor.control.placeholder =
+    param.type === 'FOLDER' ? 'e.g. Data/Exports' : 'e.g. Data/input.csv'
+  return editor
+}
+
+function createListEditor(param) {
+  const epoch =
+    Array.isArray(param.value) &&
+    param.value.some((v) => typeof v === 'number')
+  const textarea = createElement('textarea')
+  textarea.rows = 4
+  textarea.placeholder = 'One value per line'
+
+  return {
+    control: textarea,
+    getValue: () =>
+      textarea.value
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line !== '')
+        .map((line) => parseListItem(param.type, line, epoch)),
+    setValue(value) {
+      const values = Array.isArray(value) ? value : isEmpty(value) ? [] : [value]
+      textarea.value = values.map(formatValue).join('\n')
+    },
+  }
+}
+
+// --- Public API ---
+
+/**
+ * Builds the editor row for one parameter.
+ *
+ * Returns { name, type, element, getValue(), setValue(value), validate() }.
+ * validate() shows and returns the field's error message ('' when valid).
+ */
+export function createParamEditor(param) {
+  const allowed = allowedValuesOf(param)
+  const multiple = Array.isArray(param.value)
+
+  let editor
+  if (allowed) {
+    editor = createSelectEditor(param, allowed, multiple)
+  } else if (multiple) {
+    editor = createListEditor(param)
+  } else if (param.type === 'BOOLEAN') {
+    editor = createToggleEditor()
+  } else if (param.type === 'NUMBER') {
+    editor = createNumberEditor()
+  } else if (param.type === 'DATE') {
+    editor = createDateEditor(param)
+  } else if (param.type === 'FILE' || param.type === 'FOLDER') {
+    editor = createPathEditor(param)
+  } else {
+    editor = createTextEditor()
+  }
+
+  // Mark the element holding the value, as the plain inputs used to be
+  const input = editor.input ?? editor.control
+  input.classList.add('param-input')
+  input.dataset.paramName = param.name
+  input.dataset.paramType = param.type
+  input.id = `param-${param.name}`
+
+  const row = createElement('div', 'param-row')
+  const label = createElement('label', 'field')
+  label.htmlFor = input.id
+
+  const caption = createElement('span')
+  caption.append(
+    createElement('strong', undefined, param.name),
+    ` (${param.type}${multiple ? ', list' : ''})`
+  )
+  if (param.required) caption.append(createElement('span', 'required', ' *'))
+
+  const errorEl = createElement('div', 'param-error')
+  label.append(caption)
+  row.append(label, editor.control, errorEl)
+
+  function validate() {
+    const value = editor.getValue()
+    let message = editor.inputError?.() ?? ''
+
+    if (editor.untouched?.()) {
+      message = ''
+    } else if (!message && isEmpty(value)) {
+      message = param.required ? 'A value is required' : ''
+    } else if (!message) {
+      const items = Array.isArray(value) ? value : [value]
+      for (const item of items) {
+        message = checkValue(param.type, item)
+        if (message) break
+      }
+    }
+
+    errorEl.textContent = message
+    row.classList.toggle('invalid', message !== '')
+    return message
+  }
+
+  // Re-check as the user edits
+  row.addEventListener('input', validate)
+  row.addEventListener('change', validate)
+
+  editor.setValue(param.value)
+
+  return {
+    name: param.name,
+    type: param.type,
+    element: row,
+    getValue: editor.getValue,
+    setValue(value) {
+      editor.setValue(value)
+      validate()
+    },
+    validate,
+  }
+}
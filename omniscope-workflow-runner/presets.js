@@ -0,0 +1,130 @@
+// Named parameter presets, kept per project path in localStorage.
+//
+// Stored under STORAGE_KEY as
+//   { [projectPath]: { [presetName]: { values: { [param]: value }, savedAt } } }
+// which is also the "presets" member of the exported JSON file:
+//   { "format": "omniscope-workflow-runner-presets", "version": 1, "presets": … }
+
+const STORAGE_KEY = 'omniscope-workflow-runner.presets'
+const EXPORT_FORMAT = 'omniscope-workflow-runner-presets'
+
+// --- Storage ---
+
+function readAll() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    return stored && typeof stored === 'object' ? stored : {}
+  } catch {
+    // Unreadable storage shouldn't break the app; start over
+    return {}
+  }
+}
+
+function writeAll(all) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all))
+}
+
+// --- Public API ---
+
+/** Preset names saved for a project, sorted. */
+export function listPresets(projectPath) {
+  return Object.keys(readAll()[projectPath] || {}).sort((a, b) =>
+    a.localeCompare(b)
+  )
+}
+
+/** The preset's { values, savedAt }, or undefined. */
+export function getPreset(projectPath, name) {
+  return (readAll()[projectPath] || {})[name]
+}
+
+/** Saves (or replaces) a preset from a { [param]: value } map. */
+export function savePreset(projectPath, name, values) {
+  const all = readAll()
+  all[projectPath] = {
+    ...(all[projectPath] || {}),
+    [name]: { values, savedAt: new Date().toISOString() },
+  }
+  writeAll(all)
+}
+
+export function deletePreset(projectPath, name) {
+  const all = readAll()
+  if (!all[projectPath]) return
+  delete all[projectPath][name]
+  if (Object.keys(all[projectPath]).length === 0) delete all[projectPath]
+  writeAll(all)
+}
+
+/** Every saved preset as a JSON document for download. */
+export function exportPresets() {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: 1, presets: readAll() },
+    null,
+    2
+  )
+}
+
+/**
+ * Merges presets from an exported JSON document; presets with the same
+ * project and name are replaced. Returns the number of presets imported.
+ */
+export function importPresets(json) {
+  const doc = JSON.parse(json)
+  if (!doc || doc.format !== EXPORT_FORMAT || typeof doc.presets !== 'object') {
+    throw new Error('Not a workflow runner presets file')
+  }
+
+  const all = readAll()
+  let count = 0
+
+  for (const [projectPath, presets] of Object.entries(doc.presets || {})) {
+    for (const [name, preset] of Object.entries(presets || {})) {
+      if (!preset || typeof preset.values !== 'object') {
+        throw new Error(`Preset "${name}" of "${projectPath}" has no values`)
+      }
+      all[projectPath] = { ...(all[projectPath] || {}), [name]: preset }
+      count++
+    }
+  }
+
+  writeAll(all)
+  return count
+}
+
+/**
+ * Compares a preset's values with the project's current parameters
+ * (`paramValues` of GET /param). Returns one row per parameter in either:
+ *   { name, current, preset, status: 'same' | 'changed' | 'unknown' | 'not set' }
+ * 'unknown' marks preset values for parameters the project no longer has.
+ */
+export function diffPreset(values, paramValues) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+  const rows = paramValues.map((param) => {
+    const inPreset = Object.prototype.hasOwnProperty.call(values, param.name)
+    return {
+      name: param.name,
+      current: param.value,
+      preset: values[param.name],
+      status: !inPreset
+        ? 'not set'
+        : same(param.value, values[param.name])
+          ? 'same'
+          : 'changed',
+    }
+  })
+
+  const known = new Set(paramValues.map((p) => p.name))
+  Object.keys(values)
+    .filter((name) => !known.has(name))
+    .forEach((name) =>
+      rows.push({
+        name,
+        current: undefined,
+        preset: values[name],
+        status: 'unknown',
+      })
+    )
+
+  return rows
+}